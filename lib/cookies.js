@@ -0,0 +1,22 @@
+// Cookie header parsing for operator sessions
+
+// Cookie names to values; a value that is not valid percent-encoding is kept as sent
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[part.slice(0, index).trim()] = value;
+      }
+    }
+  });
+  return cookies;
+}
+
+module.exports = {
+  parseCookies
+};
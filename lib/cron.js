@@ -0,0 +1,127 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week)
+// evaluated in an IANA timezone, for command schedules
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day-of-week', min: 0, max: 7 }
+];
+
+const zonedFormatters = new Map();
+
+// Parse a cron expression into a Set of allowed values per field; throws on invalid input
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('cron must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+  
+  return parts.map((part, index) => {
+    const { name, min, max } = CRON_FIELDS[index];
+    const values = new Set();
+    for (const item of part.split(',')) {
+      const match = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid ${name} field '${part}'`);
+      }
+      let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+      if (end === undefined) {
+        end = match[2] ? max : start;
+      }
+      const step = match[2] ? parseInt(match[2]) : 1;
+      if (start < min || end > max || start > end || step < 1) {
+        throw new Error(`Invalid ${name} field '${part}'`);
+      }
+      for (let value = start; value <= end; value += step) {
+        values.add(index === 4 && value === 7 ? 0 : value); // 7 is also Sunday
+      }
+    }
+    // As in cron, a restricted day-of-month or day-of-week is OR-ed with the other
+    return { values, restricted: !part.startsWith('*') };
+  });
+}
+
+// Wall-clock fields of an instant in a timezone
+function zonedFields(date, timezone) {
+  if (!zonedFormatters.has(timezone)) {
+    zonedFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  const fields = {};
+  for (const { type, value } of zonedFormatters.get(timezone).formatToParts(date)) {
+    fields[type] = value;
+  }
+  return {
+    month: parseInt(fields.month),
+    day: parseInt(fields.day),
+    hour: parseInt(fields.hour),
+    minute: parseInt(fields.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(fields.weekday)
+  };
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Move forward by `minutes` to the next local midnight (or hour). DST changes make
+// local days 23 or 25 hours long, so when the jump lands past the boundary it is
+// moved back to it; when it falls short, the next skip reaches the boundary.
+function skipToBoundary(time, minutes, timezone, wholeDay) {
+  const target = time + minutes * 60000;
+  const local = zonedFields(new Date(target), timezone);
+  const aligned = target - ((wholeDay ? local.hour * 60 : 0) + local.minute) * 60000;
+  if (aligned > time) {
+    const boundary = zonedFields(new Date(aligned), timezone);
+    if (boundary.minute === 0 && (!wholeDay || boundary.hour === 0)) {
+      return aligned;
+    }
+  }
+  return target;
+}
+
+// First minute after `after` matching the cron fields, or null within five years
+function nextCronRun(expression, timezone, after) {
+  const [minutes, hours, days, months, weekdays] = parseCron(expression);
+  const limit = after.getTime() + 5 * 366 * 24 * 3600000;
+  let time = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+  
+  while (time <= limit) {
+    const local = zonedFields(new Date(time), timezone);
+    const dayMatches = days.restricted && weekdays.restricted
+      ? days.values.has(local.day) || weekdays.values.has(local.weekday)
+      : days.values.has(local.day) && weekdays.values.has(local.weekday);
+    
+    // Skip whole days and hours that cannot match
+    if (!months.values.has(local.month) || !dayMatches) {
+      time = skipToBoundary(time, (23 - local.hour) * 60 + (60 - local.minute), timezone, true);
+    } else if (!hours.values.has(local.hour)) {
+      time = skipToBoundary(time, 60 - local.minute, timezone, false);
+    } else if (!minutes.values.has(local.minute)) {
+      time += 60000;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextCronRun,
+  isValidTimezone
+};
@@ -0,0 +1,262 @@
+// JT/T 808 frame codec
+//
+// Frames are delimited by 0x7E, escaped with 0x7D, and carry a trailing XOR
+// checksum. These helpers work on single frames and message bodies; the TCP
+// gateway in server.js splits the stream and handles sessions.
+
+const DEFAULT_TIMEZONE_OFFSET = 8; // Terminal clocks report GMT+8 per the standard
+
+const gbkDecoder = new TextDecoder('gbk');
+
+function jt808Unescape(data) {
+  const out = [];
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] === 0x7d && i + 1 < data.length) {
+      out.push(data[i + 1] === 0x02 ? 0x7e : 0x7d);
+      i++;
+    } else {
+      out.push(data[i]);
+    }
+  }
+  return Buffer.from(out);
+}
+
+function jt808Escape(data) {
+  const out = [];
+  for (const byte of data) {
+    if (byte === 0x7e) {
+      out.push(0x7d, 0x02);
+    } else if (byte === 0x7d) {
+      out.push(0x7d, 0x01);
+    } else {
+      out.push(byte);
+    }
+  }
+  return Buffer.from(out);
+}
+
+function jt808Checksum(data) {
+  let checksum = 0;
+  for (const byte of data) {
+    checksum ^= byte;
+  }
+  return checksum;
+}
+
+function bcdToString(data) {
+  return Array.from(data).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function decodeJt808String(data) {
+  return gbkDecoder.decode(data).replace(/\0+$/, '').trim();
+}
+
+// BCD[6] YYMMDDhhmmss in the terminal's timezone, `timezoneOffset` hours from UTC
+function parseJt808Time(data, timezoneOffset = DEFAULT_TIMEZONE_OFFSET) {
+  const digits = bcdToString(data);
+  const [yy, mm, dd, hh, mi, ss] = digits.match(/.{2}/g).map(Number);
+  const utc = Date.UTC(2000 + yy, mm - 1, dd, hh, mi, ss) - timezoneOffset * 3600 * 1000;
+  const time = new Date(utc);
+  return isNaN(time.getTime()) ? new Date() : time;
+}
+
+// Decode an unescaped frame (without the 0x7E delimiters) into header and body
+function decodeJt808Frame(frame) {
+  if (frame.length < 13) {
+    throw new Error(`Frame too short (${frame.length} bytes)`);
+  }
+  
+  const checksum = frame[frame.length - 1];
+  const content = frame.subarray(0, frame.length - 1);
+  if (jt808Checksum(content) !== checksum) {
+    throw new Error('Checksum mismatch');
+  }
+  
+  const msgId = content.readUInt16BE(0);
+  const props = content.readUInt16BE(2);
+  const bodyLength = props & 0x03ff;
+  const subpackaged = (props & 0x2000) !== 0;
+  const is2019 = (props & 0x4000) !== 0;
+  
+  let offset = 4;
+  let protocolVersion = null;
+  if (is2019) {
+    protocolVersion = content[offset];
+    offset += 1;
+  }
+  const phoneLength = is2019 ? 10 : 6;
+  const phoneBytes = content.subarray(offset, offset + phoneLength);
+  offset += phoneLength;
+  const serial = content.readUInt16BE(offset);
+  offset += 2;
+  
+  let subpackage = null;
+  if (subpackaged) {
+    subpackage = {
+      total: content.readUInt16BE(offset),
+      index: content.readUInt16BE(offset + 2)
+    };
+    offset += 4;
+  }
+  
+  const body = content.subarray(offset);
+  if (body.length !== bodyLength) {
+    throw new Error(`Body length mismatch (header ${bodyLength}, actual ${body.length})`);
+  }
+  
+  return {
+    msgId,
+    is2019,
+    protocolVersion,
+    phone: bcdToString(phoneBytes),
+    phoneBytes: Buffer.from(phoneBytes),
+    serial,
+    subpackage,
+    body
+  };
+}
+
+// Encode a platform message addressed to the terminal that sent `request`
+function encodeJt808Frame(msgId, request, serial, body) {
+  let props = body.length & 0x03ff;
+  if (request.is2019) {
+    props |= 0x4000;
+  }
+  
+  const parts = [Buffer.alloc(4)];
+  parts[0].writeUInt16BE(msgId, 0);
+  parts[0].writeUInt16BE(props, 2);
+  if (request.is2019) {
+    parts.push(Buffer.from([request.protocolVersion]));
+  }
+  const serialBytes = Buffer.alloc(2);
+  serialBytes.writeUInt16BE(serial, 0);
+  parts.push(request.phoneBytes, serialBytes, body);
+  
+  const content = Buffer.concat(parts);
+  const framed = Buffer.concat([content, Buffer.from([jt808Checksum(content)])]);
+  return Buffer.concat([Buffer.from([0x7e]), jt808Escape(framed), Buffer.from([0x7e])]);
+}
+
+// 0x0200 location body (also the item format inside 0x0704)
+function decodeJt808Location(body, timezoneOffset = DEFAULT_TIMEZONE_OFFSET) {
+  if (body.length < 28) {
+    throw new Error(`Location body too short (${body.length} bytes)`);
+  }
+  
+  const warnBit = body.readUInt32BE(0);
+  const statusBit = body.readUInt32BE(4);
+  let latitude = body.readUInt32BE(8) / 1e6;
+  let longitude = body.readUInt32BE(12) / 1e6;
+  if (statusBit & 0x04) latitude = -latitude;
+  if (statusBit & 0x08) longitude = -longitude;
+  
+  const location = {
+    latitude,
+    longitude,
+    altitude: body.readUInt16BE(16),
+    speed: body.readUInt16BE(18) / 10, // km/h
+    bearing: body.readUInt16BE(20),
+    warnBit,
+    statusBit,
+    timestamp: parseJt808Time(body.subarray(22, 28), timezoneOffset)
+  };
+  
+  // Additional information items: id BYTE, length BYTE, value
+  const additional = {};
+  let offset = 28;
+  while (offset + 2 <= body.length) {
+    const id = body[offset];
+    const length = body[offset + 1];
+    const value = body.subarray(offset + 2, offset + 2 + length);
+    if (value.length < length) break;
+    offset += 2 + length;
+    
+    if (id === 0x01 && length === 4) {
+      additional.mileage = value.readUInt32BE(0) / 10; // km
+    } else if (id === 0x02 && length === 2) {
+      additional.fuel = value.readUInt16BE(0) / 10; // L
+    } else if (id === 0x03 && length === 2) {
+      additional.recorderSpeed = value.readUInt16BE(0) / 10; // km/h
+    } else if (id === 0x30 && length === 1) {
+      additional.signalStrength = value[0];
+    } else if (id === 0x31 && length === 1) {
+      additional.satellites = value[0];
+    } else {
+      additional[`0x${id.toString(16).padStart(2, '0')}`] = value.toString('hex');
+    }
+  }
+  if (Object.keys(additional).length > 0) {
+    location.additional = additional;
+  }
+  
+  return location;
+}
+
+// 0x0704 batch location body; malformed items are counted in `skipped` instead of
+// failing the whole batch
+function decodeJt808BatchLocation(body, timezoneOffset = DEFAULT_TIMEZONE_OFFSET) {
+  if (body.length < 3) {
+    throw new Error(`Batch location body too short (${body.length} bytes)`);
+  }
+  const count = body.readUInt16BE(0);
+  const type = body[2]; // 0 = normal batch, 1 = blind-area backfill
+  const locations = [];
+  let skipped = 0;
+  let offset = 3;
+  for (let i = 0; i < count && offset + 2 <= body.length; i++) {
+    const length = body.readUInt16BE(offset);
+    try {
+      locations.push(decodeJt808Location(body.subarray(offset + 2, offset + 2 + length), timezoneOffset));
+    } catch (error) {
+      skipped++;
+    }
+    offset += 2 + length;
+  }
+  return { type, locations, skipped };
+}
+
+// 0x0100 terminal registration body
+function decodeJt808Registration(body, is2019) {
+  const sizes = is2019
+    ? { manufacturer: 11, model: 30, terminalId: 30 }
+    : { manufacturer: 5, model: 20, terminalId: 7 };
+  let offset = 0;
+  const province = body.readUInt16BE(offset);
+  const city = body.readUInt16BE(offset + 2);
+  offset += 4;
+  const manufacturerId = decodeJt808String(body.subarray(offset, offset + sizes.manufacturer));
+  offset += sizes.manufacturer;
+  const terminalModel = decodeJt808String(body.subarray(offset, offset + sizes.model));
+  offset += sizes.model;
+  const terminalId = decodeJt808String(body.subarray(offset, offset + sizes.terminalId));
+  offset += sizes.terminalId;
+  const plateColor = body[offset];
+  const plateNumber = decodeJt808String(body.subarray(offset + 1));
+  
+  return { province, city, manufacturerId, terminalModel, terminalId, plateColor, plateNumber };
+}
+
+// 0x0102 authentication body
+function decodeJt808AuthCode(body, is2019) {
+  if (is2019) {
+    const length = body[0];
+    return decodeJt808String(body.subarray(1, 1 + length));
+  }
+  return decodeJt808String(body);
+}
+
+module.exports = {
+  jt808Unescape,
+  jt808Escape,
+  jt808Checksum,
+  bcdToString,
+  decodeJt808String,
+  parseJt808Time,
+  decodeJt808Frame,
+  encodeJt808Frame,
+  decodeJt808Location,
+  decodeJt808BatchLocation,
+  decodeJt808Registration,
+  decodeJt808AuthCode
+};
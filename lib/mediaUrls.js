@@ -0,0 +1,34 @@
+// Signed media URLs
+//
+// A signature is an HMAC-SHA256 over the path and an expiry time (epoch seconds),
+// so a URL only works for the path it was issued for and until it expires.
+
+const crypto = require('crypto');
+
+function createMediaUrlSigner(secret, ttlSeconds) {
+  function signMediaPath(pathname, expires) {
+    return crypto.createHmac('sha256', secret).update(`${pathname}:${expires}`).digest('hex');
+  }
+  
+  // A URL for a media path that is valid until the returned expiry
+  function createSignedMediaUrl(pathname) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return `${pathname}?expires=${expires}&signature=${signMediaPath(pathname, expires)}`;
+  }
+  
+  function verifySignedMediaUrl(pathname, { expires, signature }) {
+    const expiresAt = parseInt(expires);
+    if (!expiresAt || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(signMediaPath(pathname, expiresAt));
+    const presented = Buffer.from(signature);
+    return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+  }
+  
+  return { createSignedMediaUrl, verifySignedMediaUrl };
+}
+
+module.exports = {
+  createMediaUrlSigner
+};
@@ -0,0 +1,66 @@
+// Rate limit identities
+//
+// Requests under /api/ are counted per identity rather than per IP: a device with a
+// valid token for the route's :deviceId, else an operator, else the client IP.
+// Paths are relative to the /api/ mount. The server passes in how devices and
+// operators are authenticated and how signed media URLs are checked.
+
+// Device-side routes under /api/dashcams/:deviceId/, by budget
+const DEVICE_ROUTE_BUDGETS = [
+  { budget: 'uploads', method: 'POST', pattern: /^(media|photo|video|uploads)$/ },
+  { budget: 'uploads', pattern: /^uploads\/[^/]+(\/complete)?$/ },
+  { budget: 'polling', method: 'GET', pattern: /^commands$/ },
+  { budget: 'polling', method: 'POST', pattern: /^(commands\/[^/]+\/ack|response)$/ },
+  { budget: 'telemetry', method: 'POST', pattern: /^(status|location|heartbeat|events|telemetry\/batch|jt808\/location|jt808\/alert)$/ }
+];
+
+// A bad escape is no device; the request is then counted against the operator or IP
+function decodeDeviceId(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return null;
+  }
+}
+
+function createRateLimitIdentifier({ verifyDevice, resolveOperator, verifyMediaUrl }) {
+  // Who a request counts against, and in which budget
+  function getRateLimitIdentity(req) {
+    const match = req.path.match(/^\/dashcams\/([^/]+)\/(.+)$/);
+    const route = match && DEVICE_ROUTE_BUDGETS.find(entry =>
+      (!entry.method || entry.method === req.method) && entry.pattern.test(match[2]));
+    if (route) {
+      const deviceId = decodeDeviceId(match[1]);
+      if (deviceId !== null && verifyDevice(deviceId, req)) {
+        return { budget: route.budget, key: `device:${deviceId}` };
+      }
+    }
+    
+    const operator = resolveOperator(req);
+    if (operator) {
+      return { budget: 'dashboard', key: `operator:${operator.id}` };
+    }
+    // req.ip honours trust proxy, unlike a raw X-Forwarded-For that clients can set
+    return { budget: 'anonymous', key: `ip:${req.ip}` };
+  }
+  
+  // A media or thumbnail GET carrying a valid, unexpired signature; anything else,
+  // including a forged or expired signature, is counted like any other request
+  function isSignedMediaRequest(req) {
+    if (req.method !== 'GET' || !req.query.signature ||
+        !/^\/media\/[^/]+(\/thumbnails\/[^/]+)?$/.test(req.path)) {
+      return false;
+    }
+    try {
+      return verifyMediaUrl(decodeURIComponent(`/api${req.path}`), req.query);
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  return { getRateLimitIdentity, isSignedMediaRequest };
+}
+
+module.exports = {
+  createRateLimitIdentifier
+};
@@ -1,15 +1,33 @@
 const express = require('express');
 const http = require('http');
+const net = require('net');
+const readline = require('readline');
+const crypto = require('crypto');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
+const { rateLimit, MemoryStore } = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
+const axios = require('axios');
 const moment = require('moment');
 const winston = require('winston');
 const multer = require('multer');
+const sharp = require('sharp');
+const {
+  jt808Unescape,
+  decodeJt808Frame,
+  encodeJt808Frame,
+  decodeJt808Location,
+  decodeJt808BatchLocation,
+  decodeJt808Registration,
+  decodeJt808AuthCode
+} = require('./lib/jt808');
+const { parseCron, nextCronRun, isValidTimezone } = require('./lib/cron');
+const { createMediaUrlSigner } = require('./lib/mediaUrls');
+const { createRateLimitIdentifier } = require('./lib/rateLimit');
+const { parseCookies } = require('./lib/cookies');
 
 // Load environment variables
 require('dotenv').config();
@@ -114,21 +132,80 @@ app.use(cors({
 // Trust proxy for ngrok
 app.set('trust proxy', 1);
 
-// Rate limiting - updated for proxy support
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-  keyGenerator: (req) => {
-    // Use X-Forwarded-For header if available (for ngrok)
-    return req.headers['x-forwarded-for'] || req.ip;
+// Rate limiting
+//
+// Requests are counted per identity rather than per IP: a device with a valid token
+// for the route's :deviceId, else an operator session or API token, else the client
+// IP (login, registration, anything unauthenticated). Devices get separate budgets
+// for telemetry, command polling and uploads; operators share the dashboard budget.
+// Media requests with a valid signature were handed out by limited routes and aren't
+// counted again.
+
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000; // 15 minutes
+const RATE_LIMIT_BUDGETS = {
+  telemetry: parseInt(process.env.RATE_LIMIT_TELEMETRY_MAX) || 1800,
+  polling: parseInt(process.env.RATE_LIMIT_POLLING_MAX) || 900,
+  uploads: parseInt(process.env.RATE_LIMIT_UPLOADS_MAX) || 600,
+  dashboard: parseInt(process.env.RATE_LIMIT_DASHBOARD_MAX) || 1500,
+  anonymous: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
+};
+const DEVICE_RATE_LIMIT_BUDGETS = ['telemetry', 'polling', 'uploads'];
+
+// The device, operator and media URL checks are defined further down, so they are
+// looked up when a request arrives
+const { getRateLimitIdentity, isSignedMediaRequest } = createRateLimitIdentifier({
+  verifyDevice: (deviceId, req) =>
+    !DEVICE_AUTH_REQUIRED || verifyDeviceToken(dashcamData.get(deviceId), getRequestDeviceToken(req)),
+  resolveOperator: req => resolveOperatorToken(getRequestOperatorToken(req)),
+  verifyMediaUrl: (pathname, query) => verifySignedMediaUrl(pathname, query)
+});
+
+const rateLimitStores = {};
+const rateLimiters = {};
+for (const [budget, max] of Object.entries(RATE_LIMIT_BUDGETS)) {
+  rateLimitStores[budget] = new MemoryStore();
+  rateLimiters[budget] = rateLimit({
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: rateLimitStores[budget],
+    keyGenerator: (req) => req.rateLimitIdentity.key,
+    handler: (req, res) => {
+      logger.warn(`Rate limit exceeded: ${req.rateLimitIdentity.key} (${budget}) ${req.method} ${req.originalUrl}`);
+      res.status(429).json({ error: `Too many ${budget} requests, please try again later`, budget });
+    }
+  });
+}
+
+// A device's usage of each of its budgets in the current window
+async function getDeviceRateLimitUsage(deviceId) {
+  const usage = {};
+  for (const budget of DEVICE_RATE_LIMIT_BUDGETS) {
+    const client = await rateLimitStores[budget].get(`device:${deviceId}`);
+    const used = client ? client.totalHits : 0;
+    usage[budget] = {
+      limit: RATE_LIMIT_BUDGETS[budget],
+      used,
+      remaining: Math.max(0, RATE_LIMIT_BUDGETS[budget] - used),
+      resetAt: client ? client.resetTime : null
+    };
+  }
+  return usage;
+}
+
+app.use('/api/', (req, res, next) => {
+  if (isSignedMediaRequest(req)) {
+    return next();
   }
+  req.rateLimitIdentity = getRateLimitIdentity(req);
+  rateLimiters[req.rateLimitIdentity.budget](req, res, next);
 });
-app.use('/api/', limiter);
 
-// Body parsing middleware
+// Body parsing middleware. Resumable upload chunks are raw bytes of any content type,
+// so their parser runs first and the JSON and form parsers leave them alone.
+const UPLOAD_CHUNK_MAX = parseInt(process.env.UPLOAD_CHUNK_MAX_BYTES) || 8 * 1024 * 1024;
+app.put('/api/dashcams/:deviceId/uploads/:uploadId', express.raw({ type: () => true, limit: UPLOAD_CHUNK_MAX }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -149,25 +226,278 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Persistent store
+//
+// Devices, trips, alerts, media entries and the other collections are kept as one
+// record per entry, so a change rewrites only that entry; settings such as the storage
+// policy are named documents. STORAGE_BACKEND picks where they live: `sqlite` (default)
+// keeps them in one SQLite database in WAL mode, where every write is a transaction,
+// and `json` keeps a file per document or collection, replaced atomically through a
+// temporary file and a rename. The JSON files earlier versions wrote next to server.js
+// are imported on first start. Location history and events are append-only day files
+// under STORAGE_DIR rather than records, so retention stays a file delete.
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'sqlite';
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, 'data');
+const STORAGE_FLUSH_MS = parseInt(process.env.STORAGE_FLUSH_MS) || 1000;
+
+// Documents that used to be <name>.json next to server.js
+const LEGACY_DOCUMENTS = ['trips', 'geofences', 'speedRules', 'commandBatches', 'schedules', 'operators', 'organizations', 'groups', 'webhooks', 'webhookDeliveries', 'mediaIndex', 'uploadSessions', 'storagePolicy', 'alerts', 'reconnectAttempts'];
+
+function createSqliteStore(file) {
+  // Loaded here so the json backend runs without the native module
+  const Database = require('better-sqlite3');
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, value TEXT NOT NULL, updatedAt TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS records (collection TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, updatedAt TEXT NOT NULL, PRIMARY KEY (collection, key));
+  `);
+  
+  const statements = {
+    readDocument: db.prepare('SELECT value FROM documents WHERE name = ?'),
+    writeDocument: db.prepare(`INSERT INTO documents (name, value, updatedAt) VALUES (?, ?, ?)
+      ON CONFLICT (name) DO UPDATE SET value = excluded.value, updatedAt = excluded.updatedAt`),
+    readRecords: db.prepare('SELECT key, value FROM records WHERE collection = ? ORDER BY rowid'),
+    writeRecord: db.prepare(`INSERT INTO records (collection, key, value, updatedAt) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updatedAt = excluded.updatedAt`),
+    deleteRecord: db.prepare('DELETE FROM records WHERE collection = ? AND key = ?')
+  };
+  
+  return {
+    readDocument(name) {
+      const row = statements.readDocument.get(name);
+      return row ? JSON.parse(row.value) : undefined;
+    },
+    writeDocument(name, value) {
+      statements.writeDocument.run(name, JSON.stringify(value), new Date().toISOString());
+    },
+    readRecords(collection) {
+      return statements.readRecords.all(collection).map(row => [row.key, JSON.parse(row.value)]);
+    },
+    writeRecords: db.transaction((collection, entries) => {
+      const updatedAt = new Date().toISOString();
+      for (const [key, value] of entries) {
+        statements.writeRecord.run(collection, key, JSON.stringify(value), updatedAt);
+      }
+    }),
+    deleteRecords: db.transaction((collection, keys) => {
+      for (const key of keys) {
+        statements.deleteRecord.run(collection, key);
+      }
+    }),
+    close() {
+      db.close();
+    }
+  };
+}
+
+function createJsonStore(dir) {
+  const collections = new Map();
+  
+  function readFile(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file)) : undefined;
+  }
+  
+  // Readers see either the old file or the new one, never a partial write
+  function writeFileAtomic(file, value) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(value));
+    fs.renameSync(tempFile, file);
+  }
+  
+  function getCollection(collection) {
+    if (!collections.has(collection)) {
+      collections.set(collection, new Map(readFile(path.join(dir, `${collection}.records.json`)) || []));
+    }
+    return collections.get(collection);
+  }
+  
+  function saveCollection(collection) {
+    writeFileAtomic(path.join(dir, `${collection}.records.json`), Array.from(getCollection(collection).entries()));
+  }
+  
+  return {
+    readDocument(name) {
+      return readFile(path.join(dir, `${name}.json`));
+    },
+    writeDocument(name, value) {
+      writeFileAtomic(path.join(dir, `${name}.json`), value);
+    },
+    readRecords(collection) {
+      return Array.from(getCollection(collection).entries());
+    },
+    writeRecords(collection, entries) {
+      if (entries.length === 0) return;
+      const records = getCollection(collection);
+      for (const [key, value] of entries) {
+        records.set(key, value);
+      }
+      saveCollection(collection);
+    },
+    deleteRecords(collection, keys) {
+      if (keys.length === 0) return;
+      const records = getCollection(collection);
+      keys.forEach(key => records.delete(key));
+      saveCollection(collection);
+    },
+    close() {}
+  };
+}
+
+function createStore() {
+  fs.ensureDirSync(STORAGE_DIR);
+  switch (STORAGE_BACKEND) {
+    case 'sqlite':
+      return createSqliteStore(path.join(STORAGE_DIR, 'fleet.db'));
+    case 'json':
+      return createJsonStore(STORAGE_DIR);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected sqlite or json)`);
+  }
+}
+
+const store = createStore();
+
+// Write the records of `collection` for the given keys of an in-memory Map; keys no
+// longer in the Map are deleted. Without keys, every entry is written.
+function persistRecords(collection, records, keys) {
+  const written = [];
+  const removed = [];
+  for (const key of keys === undefined ? records.keys() : [].concat(keys)) {
+    if (records.has(key)) {
+      written.push([key, records.get(key)]);
+    } else {
+      removed.push(key);
+    }
+  }
+  store.writeRecords(collection, written);
+  store.deleteRecords(collection, removed);
+}
+
+// Import each legacy JSON file once; data already in the store wins
+function migrateLegacyFiles() {
+  const imported = store.readDocument('migrations') || [];
+  const legacy = [['dashcamData.json', 'devices'], ...LEGACY_DOCUMENTS.map(name => [`${name}.json`, name])];
+  
+  for (const [file, name] of legacy) {
+    const legacyPath = path.join(__dirname, file);
+    if (imported.includes(file) || !fs.existsSync(legacyPath)) continue;
+    
+    try {
+      const data = JSON.parse(fs.readFileSync(legacyPath));
+      if (name === 'devices') {
+        if (store.readRecords('devices').length === 0) {
+          store.writeRecords('devices', data);
+        }
+      } else if (store.readDocument(name) === undefined) {
+        store.writeDocument(name, data);
+      }
+      imported.push(file);
+      logger.info(`Imported ${file} into ${STORAGE_BACKEND} storage; the file is no longer read`);
+    } catch (error) {
+      logger.error(`Error importing ${file}:`, error);
+    }
+  }
+  
+  store.writeDocument('migrations', imported);
+}
+
+// Collections kept as one record per entry, and how to split the single document
+// each of them used to be written as
+const RECORD_COLLECTIONS = {
+  trips: data => data.flatMap(([, deviceTrips]) => deviceTrips.map(trip => [trip.id, trip])),
+  speedRules: data => Object.entries(data.devices || {}),
+  mediaIndex: data => ['images', 'videos', 'audio'].flatMap(category =>
+    (data[category] || []).map(file => [file.filename, { category, file }]))
+};
+for (const name of ['geofences', 'commandBatches', 'schedules', 'operators', 'organizations', 'groups', 'webhooks', 'webhookDeliveries', 'uploadSessions', 'alerts']) {
+  RECORD_COLLECTIONS[name] = data => data.map(item => [item.id, item]);
+}
+
+// Split each collection that is still a whole document into records, once
+function migrateDocumentsToRecords() {
+  const migrated = store.readDocument('migrations') || [];
+  
+  for (const [name, toRecords] of Object.entries(RECORD_COLLECTIONS)) {
+    const marker = `${name}:records`;
+    if (migrated.includes(marker)) continue;
+    
+    try {
+      const data = store.readDocument(name);
+      if (data !== undefined && store.readRecords(name).length === 0) {
+        const entries = toRecords(data);
+        store.writeRecords(name, entries);
+        logger.info(`Split ${name} into ${entries.length} records`);
+      }
+      migrated.push(marker);
+    } catch (error) {
+      logger.error(`Error splitting ${name} into records:`, error);
+    }
+  }
+  
+  store.writeDocument('migrations', migrated);
+}
+
+// Earlier versions kept location history and events next to server.js; move them
+// under STORAGE_DIR once, unless their directory was configured explicitly
+function moveLegacyDirectory(name, dir) {
+  const legacyDir = path.join(__dirname, name);
+  if (!fs.existsSync(legacyDir) || fs.existsSync(dir)) return;
+  try {
+    fs.moveSync(legacyDir, dir);
+    logger.info(`Moved ${legacyDir} to ${dir}`);
+  } catch (error) {
+    logger.error(`Error moving ${legacyDir} to ${dir}:`, error);
+  }
+}
+
+migrateLegacyFiles();
+migrateDocumentsToRecords();
+
 // In-memory storage for dashcam data
 const dashcamData = new Map();
-const commandHistory = [];
 const commandQueue = new Map();
-const eventLog = [];
 const mediaFiles = {
     images: [],
     videos: [],
     audio: []
 };
 
-const DASHCAM_DATA_FILE = path.join(__dirname, 'dashcamData.json');
+const DEFAULT_ORGANIZATION_ID = 'default';
 const HEARTBEAT_TIMEOUT = 120000; // 2 minutes
-const RECONNECT_ATTEMPTS_FILE = path.join(__dirname, 'reconnectAttempts.json');
 
-function saveDashcamData() {
+const dirtyDevices = new Set();
+let deviceFlushTimer = null;
+
+// Device changes are coalesced and written together STORAGE_FLUSH_MS later, so a burst
+// of updates costs one write per device. Without a deviceId every device is written.
+function saveDashcamData(deviceId) {
+  if (deviceId) {
+    dirtyDevices.add(deviceId);
+  } else {
+    dashcamData.forEach((dashcam, id) => dirtyDevices.add(id));
+  }
+  if (!deviceFlushTimer) {
+    deviceFlushTimer = setTimeout(flushDashcamData, STORAGE_FLUSH_MS);
+  }
+}
+
+function flushDashcamData() {
+  clearTimeout(deviceFlushTimer);
+  deviceFlushTimer = null;
+  if (dirtyDevices.size === 0) {
+    return;
+  }
+  
+  const entries = Array.from(dirtyDevices)
+    .filter(deviceId => dashcamData.has(deviceId))
+    .map(deviceId => [deviceId, dashcamData.get(deviceId)]);
+  dirtyDevices.clear();
+  
   try {
-    fs.writeFileSync(DASHCAM_DATA_FILE, JSON.stringify(Array.from(dashcamData.entries()), null, 2));
-    logger.info(`Saved ${dashcamData.size} devices to persistent storage`);
+    store.writeRecords('devices', entries);
+    logger.debug(`Saved ${entries.length} devices to persistent storage`);
   } catch (error) {
     logger.error('Error saving dashcam data:', error);
   }
@@ -175,14 +505,19 @@ function saveDashcamData() {
 
 function loadDashcamData() {
   try {
-    if (fs.existsSync(DASHCAM_DATA_FILE)) {
-      const data = JSON.parse(fs.readFileSync(DASHCAM_DATA_FILE));
+    const data = store.readRecords('devices');
+    if (data.length > 0) {
       for (const [deviceId, dashcam] of data) {
         // Reset connection state on load
         dashcam.socketId = null;
         dashcam.status = 'offline';
         dashcam.lastSeen = new Date(dashcam.lastSeen);
         dashcam.registeredAt = new Date(dashcam.registeredAt);
+        dashcam.organizationId = dashcam.organizationId || DEFAULT_ORGANIZATION_ID;
+        dashcam.tags = dashcam.tags || [];
+        if (dashcam.pendingCommands) {
+          dashcam.pendingCommands = dashcam.pendingCommands.map(normalizeCommand);
+        }
         dashcamData.set(deviceId, dashcam);
       }
       logger.info(`Loaded ${dashcamData.size} devices from persistent storage`);
@@ -194,7 +529,7 @@ function loadDashcamData() {
 
 function saveReconnectAttempts(attempts) {
   try {
-    fs.writeFileSync(RECONNECT_ATTEMPTS_FILE, JSON.stringify(attempts, null, 2));
+    store.writeDocument('reconnectAttempts', attempts);
   } catch (error) {
     logger.error('Error saving reconnect attempts:', error);
   }
@@ -202,847 +537,6131 @@ function saveReconnectAttempts(attempts) {
 
 function loadReconnectAttempts() {
   try {
-    if (fs.existsSync(RECONNECT_ATTEMPTS_FILE)) {
-      return JSON.parse(fs.readFileSync(RECONNECT_ATTEMPTS_FILE));
-    }
+    return store.readDocument('reconnectAttempts') || {};
   } catch (error) {
     logger.error('Error loading reconnect attempts:', error);
   }
   return {};
 }
 
-// Load dashcam data on startup
-loadDashcamData();
+// Location history
+//
+// Breadcrumbs are appended to one JSON-lines file per device per UTC day, so
+// track queries only read the days they cover and retention is a file delete.
 
-// Heartbeat monitoring
-setInterval(() => {
-  const now = new Date();
-  const offlineDevices = [];
+const LOCATION_HISTORY_DIR = process.env.LOCATION_HISTORY_DIR || path.join(STORAGE_DIR, 'history');
+const LOCATION_HISTORY_RETENTION_DAYS = parseInt(process.env.LOCATION_HISTORY_RETENTION_DAYS) || 90;
+const TRACK_MAX_RANGE_DAYS = 31;
+const JT808_DATA_LIMIT = parseInt(process.env.JT808_DATA_LIMIT) || 500;
+
+if (!process.env.LOCATION_HISTORY_DIR) {
+  moveLegacyDirectory('history', LOCATION_HISTORY_DIR);
+}
+fs.ensureDirSync(LOCATION_HISTORY_DIR);
+
+function historyDeviceDir(deviceId) {
+  // Device IDs come from URLs and terminals; keep them from escaping the history directory
+  return path.join(LOCATION_HISTORY_DIR, encodeURIComponent(deviceId).replace(/\./g, '%2E'));
+}
+
+function historyDayFile(deviceId, day) {
+  return path.join(historyDeviceDir(deviceId), `${day}.jsonl`);
+}
+
+// Great-circle distance in meters between two { latitude, longitude } points
+function distanceMeters(a, b) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function isValidCoordinate(location) {
+  return location &&
+    Number.isFinite(location.latitude) && Number.isFinite(location.longitude) &&
+    Math.abs(location.latitude) <= 90 && Math.abs(location.longitude) <= 180;
+}
+
+// Build a breadcrumb from any of the location shapes the server receives
+function toTrackPoint(location, source) {
+  const receivedAt = new Date();
+  const reportedAt = location.timestamp ? new Date(location.timestamp) : receivedAt;
+  const point = {
+    timestamp: isNaN(reportedAt.getTime()) ? receivedAt : reportedAt,
+    latitude: parseFloat(location.latitude),
+    longitude: parseFloat(location.longitude),
+    altitude: parseFloat(location.altitude) || 0,
+    speed: parseFloat(location.speed) || 0,
+    bearing: parseFloat(location.bearing) || 0,
+    source,
+    receivedAt
+  };
+  if (location.accuracy !== undefined) point.accuracy = parseFloat(location.accuracy) || 0;
+  if (location.warnBit !== undefined) point.warnBit = location.warnBit;
+  if (location.statusBit !== undefined) point.statusBit = location.statusBit;
+  return point;
+}
+
+// Writes to one device's history run one at a time, so a merge never loses an append
+const historyWriteQueues = new Map();
+
+function queueHistoryWrite(deviceId, write) {
+  const next = (historyWriteQueues.get(deviceId) || Promise.resolve())
+    .then(write)
+    .catch(error => logger.error(`Error writing location history for ${deviceId}: ${error.message}`, error));
+  historyWriteQueues.set(deviceId, next);
+  next.then(() => {
+    if (historyWriteQueues.get(deviceId) === next) {
+      historyWriteQueues.delete(deviceId);
+    }
+  });
+  return next;
+}
+
+function appendLocationHistory(deviceId, point) {
+  const file = historyDayFile(deviceId, moment.utc(point.timestamp).format('YYYY-MM-DD'));
+  return queueHistoryWrite(deviceId, async () => {
+    await fs.ensureDir(path.dirname(file));
+    await fs.appendFile(file, JSON.stringify(point) + '\n');
+  });
+}
+
+function historyLineTime(line) {
+  try {
+    return new Date(JSON.parse(line).timestamp).getTime() || 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+// Add backdated points so every day file stays in time order: points after a file's
+// last line are appended, anything earlier merges and rewrites that day
+function insertLocationHistory(deviceId, points) {
+  const byDay = new Map();
+  for (const point of points) {
+    const day = moment.utc(point.timestamp).format('YYYY-MM-DD');
+    if (!byDay.has(day)) {
+      byDay.set(day, []);
+    }
+    byDay.get(day).push({ line: JSON.stringify(point), time: new Date(point.timestamp).getTime() });
+  }
   
-  for (const [deviceId, dashcam] of dashcamData.entries()) {
-    if (dashcam.status === 'online' && dashcam.lastSeen) {
-      const timeSinceLastSeen = now - new Date(dashcam.lastSeen);
-      if (timeSinceLastSeen > HEARTBEAT_TIMEOUT) {
-        dashcam.status = 'offline';
-        dashcam.socketId = null;
-        offlineDevices.push(deviceId);
-        logger.warn(`Device ${deviceId} marked offline due to heartbeat timeout`);
+  return queueHistoryWrite(deviceId, async () => {
+    for (const [day, entries] of byDay) {
+      const file = historyDayFile(deviceId, day);
+      await fs.ensureDir(path.dirname(file));
+      const existing = (await fs.pathExists(file)) ? (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean) : [];
+      entries.sort((a, b) => a.time - b.time);
+      
+      if (existing.length === 0 || entries[0].time >= historyLineTime(existing[existing.length - 1])) {
+        await fs.appendFile(file, entries.map(entry => entry.line).join('\n') + '\n');
+      } else {
+        const merged = [...existing.map(line => ({ line, time: historyLineTime(line) })), ...entries]
+          .sort((a, b) => a.time - b.time);
+        const tempFile = `${file}.tmp`;
+        await fs.writeFile(tempFile, merged.map(entry => entry.line).join('\n') + '\n');
+        await fs.rename(tempFile, file);
+      }
+    }
+  });
+}
+
+// Read the breadcrumbs of a device between two dates, oldest first
+async function readLocationHistory(deviceId, from, to) {
+  const points = [];
+  const day = moment.utc(from).startOf('day');
+  const lastDay = moment.utc(to).startOf('day');
+  
+  while (!day.isAfter(lastDay)) {
+    const file = historyDayFile(deviceId, day.format('YYYY-MM-DD'));
+    if (await fs.pathExists(file)) {
+      const lines = (await fs.readFile(file, 'utf8')).split('\n');
+      for (const line of lines) {
+        if (!line) continue;
+        try {
+          const point = JSON.parse(line);
+          const time = new Date(point.timestamp);
+          if (time >= from && time <= to) {
+            points.push(point);
+          }
+        } catch (error) {
+          logger.warn(`Skipping corrupt location history line in ${file}`);
+        }
       }
     }
+    day.add(1, 'day');
   }
   
-  if (offlineDevices.length > 0) {
-    saveDashcamData();
-    io.emit('devices_offline', { deviceIds: offlineDevices, timestamp: now });
+  points.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return points;
+}
+
+function trackDistance(points) {
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (isValidCoordinate(points[i - 1]) && isValidCoordinate(points[i])) {
+      distance += distanceMeters(points[i - 1], points[i]);
+    }
   }
-}, 30000); // Check every 30 seconds
+  return distance;
+}
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  logger.info(`[DEBUG] Client connected: ${socket.id}`);
+// Keep one point per `interval` seconds, then thin evenly down to `maxPoints`;
+// the first and last points always survive so the track keeps its ends
+function downsampleTrack(points, { interval, maxPoints }) {
+  let result = points;
+  
+  if (interval > 0 && result.length > 2) {
+    const sampled = [result[0]];
+    let lastTime = new Date(result[0].timestamp).getTime();
+    for (let i = 1; i < result.length - 1; i++) {
+      const time = new Date(result[i].timestamp).getTime();
+      if (time - lastTime >= interval * 1000) {
+        sampled.push(result[i]);
+        lastTime = time;
+      }
+    }
+    sampled.push(result[result.length - 1]);
+    result = sampled;
+  }
+  
+  if (maxPoints > 1 && result.length > maxPoints) {
+    const step = (result.length - 1) / (maxPoints - 1);
+    const thinned = [];
+    for (let i = 0; i < maxPoints; i++) {
+      thinned.push(result[Math.round(i * step)]);
+    }
+    result = thinned;
+  }
+  
+  return result;
+}
 
-  // Handle command sending from UI
-  socket.on('send_command', (data) => {
-    const { command, parameters, deviceId: targetDeviceId } = data;
-    const deviceId = targetDeviceId || '13f15b0094dcc44a'; // Default device ID
-    
-    logger.info(`[DEBUG] Socket.IO command received: ${command} for device ${deviceId}`);
-    
-    // Forward command to device via HTTP
-    const dashcam = dashcamData.get(deviceId);
-    if (!dashcam) {
-      socket.emit('command_response', {
-        success: false,
-        message: 'Device not found'
-      });
-      return;
+// Delete history day files older than the retention window
+async function pruneLocationHistory() {
+  const cutoff = moment.utc().subtract(LOCATION_HISTORY_RETENTION_DAYS, 'days').format('YYYY-MM-DD');
+  let removed = 0;
+  try {
+    for (const deviceDir of await fs.readdir(LOCATION_HISTORY_DIR)) {
+      const dir = path.join(LOCATION_HISTORY_DIR, deviceDir);
+      for (const file of await fs.readdir(dir)) {
+        if (file.endsWith('.jsonl') && file.slice(0, -'.jsonl'.length) < cutoff) {
+          await fs.remove(path.join(dir, file));
+          removed++;
+        }
+      }
     }
-    
-    // Check for duplicate commands (within last 5 seconds)
-    const now = new Date();
-    const fiveSecondsAgo = new Date(now.getTime() - 5000);
-    
-    if (dashcam.pendingCommands) {
-      const recentCommands = dashcam.pendingCommands.filter(cmd => 
-        cmd.command === command && 
-        new Date(cmd.timestamp) > fiveSecondsAgo
-      );
-      
-      if (recentCommands.length > 0) {
-        logger.info(`[DEBUG] Socket.IO duplicate command ${command} ignored for device ${deviceId}`);
-        socket.emit('command_response', {
-          success: true,
-          message: `Command '${command}' already queued (duplicate ignored)`
-        });
-        return;
+    if (removed > 0) {
+      logger.info(`Pruned ${removed} location history files older than ${LOCATION_HISTORY_RETENTION_DAYS} days`);
+    }
+  } catch (error) {
+    logger.error(`Error pruning location history: ${error.message}`, error);
+  }
+}
+
+// Prune location history daily
+pruneLocationHistory();
+setInterval(pruneLocationHistory, 24 * 60 * 60 * 1000);
+
+// Cap per-device JT808 data kept in memory; the full trail lives in location history
+function pushJt808Data(dashcam, entry) {
+  if (!dashcam.jt808Data) {
+    dashcam.jt808Data = [];
+  }
+  dashcam.jt808Data.push(entry);
+  if (dashcam.jt808Data.length > JT808_DATA_LIMIT) {
+    dashcam.jt808Data.splice(0, dashcam.jt808Data.length - JT808_DATA_LIMIT);
+  }
+}
+
+// Common processing for every incoming location, whatever route it came in on
+function processLocation(deviceId, location, source) {
+  const point = toTrackPoint(location, source);
+  if (!isValidCoordinate(point)) {
+    logger.warn(`Ignoring invalid location from ${deviceId} via ${source}: ${location.latitude}, ${location.longitude}`);
+    return null;
+  }
+  
+  appendLocationHistory(deviceId, point);
+  applyTrackPoint(deviceId, point, { live: true });
+  return point;
+}
+
+// Trips, geofences and speed rules for a point that is already in history. Stale
+// points still build trips and geofence history but raise nothing live.
+function applyTrackPoint(deviceId, point, { live }) {
+  updateTrips(deviceId, point);
+  evaluateGeofences(deviceId, point, { live });
+  if (live) {
+    evaluateSpeedRules(deviceId, point);
+  }
+}
+
+// Trip segmentation
+//
+// Trips are built from the processed location stream. Devices reporting a JT808
+// statusBit start and end trips on ACC; others start when moving faster than
+// TRIP_START_SPEED and end after TRIP_STOP_MINUTES stationary. Any trip ends if
+// the device goes quiet for TRIP_GAP_MINUTES.
+
+const TRIP_START_SPEED = parseFloat(process.env.TRIP_START_SPEED) || 5; // km/h
+const TRIP_IDLE_SPEED = 3; // km/h; slower than this counts as idling
+const TRIP_STOP_MINUTES = parseFloat(process.env.TRIP_STOP_MINUTES) || 5;
+const TRIP_GAP_MINUTES = parseFloat(process.env.TRIP_GAP_MINUTES) || 15;
+const TRIPS_PER_DEVICE_LIMIT = 1000;
+
+// deviceId -> trips, oldest first; at most one (the last) is active
+const trips = new Map();
+
+// Write the given trips and delete the records of trips dropped from memory
+function saveTrips(changed, removedIds = []) {
+  try {
+    store.writeRecords('trips', changed.map(trip => [trip.id, trip]));
+    store.deleteRecords('trips', removedIds);
+  } catch (error) {
+    logger.error('Error saving trips:', error);
+  }
+}
+
+function loadTrips() {
+  try {
+    // Records come back in the order trips were started
+    for (const [, trip] of store.readRecords('trips')) {
+      if (!trips.has(trip.deviceId)) {
+        trips.set(trip.deviceId, []);
       }
+      trips.get(trip.deviceId).push(trip);
     }
-    
-    // Store command for device to pick up
-    if (!dashcam.pendingCommands) {
-      dashcam.pendingCommands = [];
+    if (trips.size > 0) {
+      logger.info(`Loaded trips for ${trips.size} devices from persistent storage`);
     }
-    
-    const commandData = {
-      id: Date.now().toString(),
-      command: command,
-      parameters: parameters || {},
-      timestamp: new Date(),
-      status: 'pending'
-    };
-    
-    dashcam.pendingCommands.push(commandData);
-    
-    // Emit to UI
-    io.emit('command_sent', {
-      deviceId,
-      command: commandData
-    });
-    
-    socket.emit('command_response', {
-      success: true,
-      message: `Command '${command}' queued for device`
-    });
+  } catch (error) {
+    logger.error('Error loading trips:', error);
+  }
+}
+
+function getActiveTrip(deviceId) {
+  const deviceTrips = trips.get(deviceId);
+  const last = deviceTrips && deviceTrips[deviceTrips.length - 1];
+  return last && last.status === 'active' ? last : null;
+}
+
+// Public shape of a trip, without the segmentation bookkeeping
+function formatTrip(trip) {
+  const { lastPoint, stationarySince, pendingIdle, ...rest } = trip;
+  const end = trip.endTime ? new Date(trip.endTime) : new Date(lastPoint.timestamp);
+  const duration = Math.max(0, Math.round((end - new Date(trip.startTime)) / 1000));
+  return {
+    ...rest,
+    distance: Math.round(trip.distance),
+    distanceKm: Math.round(trip.distance / 10) / 100,
+    duration,
+    idleTime: Math.round(trip.idleTime),
+    maxSpeed: trip.maxSpeed,
+    avgSpeed: duration > 0 ? Math.round(trip.distance / duration * 3.6 * 10) / 10 : 0
+  };
+}
+
+function startTrip(deviceId, point, reason) {
+  const trip = {
+    id: uuidv4(),
+    deviceId,
+    status: 'active',
+    startTime: point.timestamp,
+    endTime: null,
+    startLocation: { latitude: point.latitude, longitude: point.longitude },
+    endLocation: null,
+    distance: 0,
+    maxSpeed: point.speed,
+    idleTime: 0,
+    pointCount: 1,
+    startReason: reason,
+    endReason: null,
+    lastPoint: point,
+    stationarySince: null,
+    pendingIdle: 0
+  };
+  
+  if (!trips.has(deviceId)) {
+    trips.set(deviceId, []);
+  }
+  const deviceTrips = trips.get(deviceId);
+  deviceTrips.push(trip);
+  let dropped = [];
+  if (deviceTrips.length > TRIPS_PER_DEVICE_LIMIT) {
+    dropped = deviceTrips.splice(0, deviceTrips.length - TRIPS_PER_DEVICE_LIMIT);
+  }
+  saveTrips([trip], dropped.map(oldTrip => oldTrip.id));
+  
+  logger.info(`Trip started: ${deviceId} (${reason})`);
+  emitToDashboards(deviceId, 'trip_started', {
+    deviceId,
+    trip: formatTrip(trip),
+    timestamp: new Date()
   });
+}
 
-  // Handle dashcam registration
-  socket.on('dashcam_register', (data) => {
-    const { deviceId, deviceInfo } = data;
-    
-    // Check if device already exists
-    const existingDashcam = dashcamData.get(deviceId);
-    if (existingDashcam) {
-      // Update existing device
-      existingDashcam.socketId = socket.id;
-      existingDashcam.lastSeen = new Date();
-      existingDashcam.status = 'online';
-      existingDashcam.deviceInfo = { ...existingDashcam.deviceInfo, ...deviceInfo };
-      logger.info(`Device reconnected: ${deviceId}`);
+// End a trip at `endPoint`; stationary endings end where the vehicle stopped
+function endTrip(deviceId, trip, endPoint, reason) {
+  trip.status = 'completed';
+  trip.endTime = endPoint.timestamp;
+  trip.endLocation = { latitude: endPoint.latitude, longitude: endPoint.longitude };
+  trip.endReason = reason;
+  trip.lastPoint = endPoint;
+  trip.stationarySince = null;
+  trip.pendingIdle = 0;
+  saveTrips([trip]);
+  
+  const summary = formatTrip(trip);
+  logger.info(`Trip ended: ${deviceId} (${reason}) - ${summary.distanceKm} km in ${summary.duration}s`);
+  emitToDashboards(deviceId, 'trip_ended', {
+    deviceId,
+    trip: summary,
+    timestamp: new Date()
+  });
+}
+
+function updateTrips(deviceId, point) {
+  const trip = getActiveTrip(deviceId);
+  const accKnown = point.statusBit !== undefined;
+  const accOn = accKnown && (point.statusBit & 0x01) === 1;
+  const moving = point.speed >= TRIP_START_SPEED;
+  
+  if (!trip) {
+    if (accOn) {
+      startTrip(deviceId, point, 'acc_on');
+    } else if (!accKnown && moving) {
+      startTrip(deviceId, point, 'movement');
+    }
+    return;
+  }
+  
+  const last = trip.lastPoint;
+  const elapsed = (new Date(point.timestamp) - new Date(last.timestamp)) / 1000;
+  if (elapsed < 0) {
+    // Late, out-of-order report; history has it, trip stats stay monotonic
+    return;
+  }
+  
+  if (elapsed > TRIP_GAP_MINUTES * 60) {
+    endTrip(deviceId, trip, trip.stationarySince || last, 'signal_gap');
+    updateTrips(deviceId, point);
+    return;
+  }
+  
+  trip.distance += distanceMeters(last, point);
+  trip.maxSpeed = Math.max(trip.maxSpeed, point.speed);
+  trip.pointCount++;
+  trip.lastPoint = point;
+  
+  if (point.speed < TRIP_IDLE_SPEED) {
+    if (!trip.stationarySince) {
+      trip.stationarySince = last.speed < TRIP_IDLE_SPEED ? last : point;
+    }
+    trip.pendingIdle += elapsed;
+  } else {
+    trip.idleTime += trip.pendingIdle;
+    trip.pendingIdle = 0;
+    trip.stationarySince = null;
+  }
+  
+  if (accKnown && !accOn) {
+    trip.idleTime += trip.pendingIdle;
+    endTrip(deviceId, trip, point, 'acc_off');
+    return;
+  }
+  
+  if (!accKnown && trip.stationarySince) {
+    const stationaryFor = (new Date(point.timestamp) - new Date(trip.stationarySince.timestamp)) / 1000;
+    if (stationaryFor >= TRIP_STOP_MINUTES * 60) {
+      // The trip ended when the vehicle stopped; time parked since is not idle time
+      endTrip(deviceId, trip, trip.stationarySince, 'stationary');
+    }
+  }
+}
+
+// End trips of devices that stopped reporting, and persist active trip progress
+setInterval(() => {
+  const now = new Date();
+  const active = [];
+  
+  for (const deviceId of trips.keys()) {
+    const trip = getActiveTrip(deviceId);
+    if (!trip) continue;
+    
+    if (now - new Date(trip.lastPoint.receivedAt || trip.lastPoint.timestamp) > TRIP_GAP_MINUTES * 60 * 1000) {
+      endTrip(deviceId, trip, trip.stationarySince || trip.lastPoint, 'signal_gap');
     } else {
-      // Register new device
-    dashcamData.set(deviceId, {
-      ...deviceInfo,
-      socketId: socket.id,
-      lastSeen: new Date(),
-      status: 'online',
-      location: null,
-      events: [],
-        jt808Enabled: false,
-        registeredAt: new Date()
+      active.push(trip);
+    }
+  }
+  
+  if (active.length > 0) {
+    saveTrips(active);
+  }
+}, 60000); // Check every minute
+
+loadTrips();
+
+// Geofences
+//
+// Circular fences have a center and a radius in meters; polygon fences a list of
+// at least three vertices. A fence applies to every device (allDevices) or to the
+// listed deviceIds. Each device's inside/outside state is kept on its dashcam entry.
+
+const GEOFENCE_TYPES = ['circle', 'polygon'];
+
+const geofences = new Map();
+
+function saveGeofences(ids) {
+  try {
+    persistRecords('geofences', geofences, ids);
+  } catch (error) {
+    logger.error('Error saving geofences:', error);
+  }
+}
+
+function loadGeofences() {
+  try {
+    const data = store.readRecords('geofences');
+    if (data.length > 0) {
+      for (const [, geofence] of data) {
+        geofence.organizationId = geofence.organizationId || DEFAULT_ORGANIZATION_ID;
+        geofences.set(geofence.id, geofence);
+      }
+      logger.info(`Loaded ${geofences.size} geofences from persistent storage`);
+    }
+  } catch (error) {
+    logger.error('Error loading geofences:', error);
+  }
+}
+
+function toCoordinate(value) {
+  if (!value) return null;
+  const coordinate = {
+    latitude: parseFloat(value.latitude),
+    longitude: parseFloat(value.longitude)
+  };
+  return isValidCoordinate(coordinate) ? coordinate : null;
+}
+
+// Validate a geofence definition; returns an error message or null
+function validateGeofence(geofence) {
+  if (!geofence.name || typeof geofence.name !== 'string') {
+    return 'Geofence name is required';
+  }
+  if (!GEOFENCE_TYPES.includes(geofence.type)) {
+    return `Geofence type must be one of: ${GEOFENCE_TYPES.join(', ')}`;
+  }
+  if (geofence.type === 'circle') {
+    if (!geofence.center) {
+      return 'Circle geofence requires a center with latitude and longitude';
+    }
+    if (!(geofence.radius > 0)) {
+      return 'Circle geofence requires a positive radius in meters';
+    }
+  }
+  if (geofence.type === 'polygon') {
+    if (!Array.isArray(geofence.coordinates) || geofence.coordinates.length < 3 || geofence.coordinates.includes(null)) {
+      return 'Polygon geofence requires at least 3 coordinates with latitude and longitude';
+    }
+  }
+  if (geofence.speedLimit !== null && !(geofence.speedLimit > 0)) {
+    return 'Geofence speedLimit must be a positive speed in km/h';
+  }
+  if (!geofence.allDevices && geofence.deviceIds.length === 0) {
+    return 'Geofence must be assigned to allDevices or to at least one deviceId';
+  }
+  return null;
+}
+
+// Build a geofence from request fields, on top of an existing one when updating
+function buildGeofence(body, existing = {}) {
+  const merged = { ...existing, ...body };
+  const geofence = {
+    id: existing.id || uuidv4(),
+    organizationId: existing.organizationId || merged.organizationId || DEFAULT_ORGANIZATION_ID,
+    name: merged.name,
+    description: merged.description || '',
+    category: merged.category || 'general',
+    type: merged.type,
+    allDevices: merged.allDevices === true,
+    deviceIds: Array.isArray(merged.deviceIds) ? merged.deviceIds.map(String) : [],
+    enabled: merged.enabled !== false,
+    speedLimit: merged.speedLimit ? parseFloat(merged.speedLimit) : null, // km/h
+    speedLimitDuration: parseFloat(merged.speedLimitDuration) || 0, // seconds
+    createdAt: existing.createdAt || new Date(),
+    updatedAt: new Date()
+  };
+  
+  // Changing the type needs a new shape from the body; the old type's fields are dropped
+  const shape = existing.type && geofence.type !== existing.type ? body : merged;
+  if (geofence.type === 'circle') {
+    geofence.center = toCoordinate(shape.center);
+    geofence.radius = parseFloat(shape.radius);
+  } else if (geofence.type === 'polygon') {
+    geofence.coordinates = Array.isArray(shape.coordinates) ? shape.coordinates.map(toCoordinate) : null;
+  }
+  
+  return geofence;
+}
+
+// Fences only ever apply to devices of their own organization
+function geofenceAppliesTo(geofence, deviceId) {
+  return geofence.enabled &&
+    geofence.organizationId === getDeviceOrganizationId(deviceId) &&
+    (geofence.allDevices || geofence.deviceIds.includes(deviceId));
+}
+
+// Ray casting on latitude/longitude; fine at the scale of depots and sites
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+        point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function isInsideGeofence(geofence, point) {
+  if (geofence.type === 'circle') {
+    return distanceMeters(geofence.center, point) <= geofence.radius;
+  }
+  return pointInPolygon(point, geofence.coordinates);
+}
+
+function recordGeofenceEvent(deviceId, dashcam, geofence, transition, point, live) {
+  const eventType = `geofence_${transition}`;
+  const eventData = {
+    geofenceId: geofence.id,
+    geofenceName: geofence.name,
+    category: geofence.category,
+    transition,
+    location: {
+      latitude: point.latitude,
+      longitude: point.longitude,
+      speed: point.speed
+    }
+  };
+  
+  if (!dashcam.events) {
+    dashcam.events = [];
+  }
+  dashcam.events.push({
+    type: eventType,
+    data: eventData,
+    timestamp: point.timestamp
+  });
+  
+  recordEvent({
+    deviceId,
+    type: eventType,
+    category: 'geofence',
+    source: 'server',
+    location: point,
+    description: `${transition === 'enter' ? 'Entered' : 'Exited'} ${geofence.name}`,
+    payload: eventData,
+    timestamp: point.timestamp
+  });
+  
+  logger.info(`Geofence ${transition}: ${deviceId} - ${geofence.name}${live ? '' : ' (replayed)'}`);
+  if (!live) {
+    return;
+  }
+  emitToDashboards(deviceId, 'geofence_event', {
+    deviceId,
+    geofence: {
+      id: geofence.id,
+      name: geofence.name,
+      category: geofence.category
+    },
+    transition,
+    location: eventData.location,
+    timestamp: point.timestamp
+  });
+}
+
+// Compare a location against every applicable fence and record enter/exit transitions
+function evaluateGeofences(deviceId, point, { live }) {
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) return;
+  
+  // Late, out-of-order reports would flip the state back and forth
+  if (dashcam.geofenceCheckedAt && new Date(point.timestamp) < new Date(dashcam.geofenceCheckedAt)) {
+    return;
+  }
+  dashcam.geofenceCheckedAt = point.timestamp;
+  
+  const previous = dashcam.geofencesInside || [];
+  const inside = [];
+  for (const geofence of geofences.values()) {
+    if (geofenceAppliesTo(geofence, deviceId) && isInsideGeofence(geofence, point)) {
+      inside.push(geofence.id);
+    }
+  }
+  
+  for (const geofenceId of previous) {
+    // Fences that were deleted, disabled or unassigned don't produce exits
+    const geofence = geofences.get(geofenceId);
+    if (!inside.includes(geofenceId) && geofence && geofenceAppliesTo(geofence, deviceId)) {
+      recordGeofenceEvent(deviceId, dashcam, geofence, 'exit', point, live);
+    }
+  }
+  for (const geofenceId of inside) {
+    if (!previous.includes(geofenceId)) {
+      recordGeofenceEvent(deviceId, dashcam, geofences.get(geofenceId), 'enter', point, live);
+    }
+  }
+  
+  dashcam.geofencesInside = inside;
+}
+
+loadGeofences();
+
+// Speed rules
+//
+// A global limit, per-device limits and per-geofence limits (speedLimit on the
+// geofence). The lowest limit that applies to a location wins. A violation becomes
+// an overspeed alert once the speed has stayed above the limit for the rule's
+// minDuration, and the same alert is updated and re-emitted when it ends.
+
+
+const speedRules = {
+  global: {
+    limit: parseFloat(process.env.SPEED_LIMIT_DEFAULT) || null, // km/h
+    minDuration: parseInt(process.env.SPEED_LIMIT_MIN_DURATION) || 10 // seconds
+  },
+  devices: {}
+};
+
+// deviceId -> violation in progress
+const speedViolations = new Map();
+
+// The global rule is a document; device rules are one record per device
+function saveSpeedRules(deviceId) {
+  try {
+    if (deviceId === undefined) {
+      store.writeDocument('speedRules', { global: speedRules.global });
+    } else if (speedRules.devices[deviceId]) {
+      store.writeRecords('speedRules', [[deviceId, speedRules.devices[deviceId]]]);
+    } else {
+      store.deleteRecords('speedRules', [deviceId]);
+    }
+  } catch (error) {
+    logger.error('Error saving speed rules:', error);
+  }
+}
+
+function loadSpeedRules() {
+  try {
+    const data = store.readDocument('speedRules');
+    if (data) {
+      speedRules.global = { ...speedRules.global, ...data.global };
+    }
+    speedRules.devices = Object.fromEntries(store.readRecords('speedRules'));
+    logger.info(`Loaded speed rules for ${Object.keys(speedRules.devices).length} devices from persistent storage`);
+  } catch (error) {
+    logger.error('Error loading speed rules:', error);
+  }
+}
+
+// Validate { limit, minDuration } from a request; returns an error message or null
+function validateSpeedRule(rule) {
+  if (rule.limit !== null && !(rule.limit > 0)) {
+    return 'limit must be a positive speed in km/h, or null to disable';
+  }
+  if (!(rule.minDuration >= 0)) {
+    return 'minDuration must be zero or a positive number of seconds';
+  }
+  return null;
+}
+
+function toSpeedRule(body, existing = {}) {
+  const merged = { ...existing, ...body };
+  return {
+    limit: merged.limit === null || merged.limit === undefined ? null : parseFloat(merged.limit),
+    minDuration: merged.minDuration === undefined ? 10 : parseFloat(merged.minDuration),
+    updatedAt: new Date()
+  };
+}
+
+// The most restrictive speed rule for a device at its current geofence position
+function getEffectiveSpeedRule(deviceId, dashcam) {
+  const candidates = [];
+  
+  if (speedRules.global.limit) {
+    candidates.push({ type: 'global', id: 'global', ...speedRules.global });
+  }
+  const deviceRule = speedRules.devices[deviceId];
+  if (deviceRule && deviceRule.limit) {
+    candidates.push({ type: 'device', id: deviceId, ...deviceRule });
+  }
+  for (const geofenceId of (dashcam && dashcam.geofencesInside) || []) {
+    const geofence = geofences.get(geofenceId);
+    if (geofence && geofence.speedLimit) {
+      candidates.push({
+        type: 'geofence',
+        id: geofence.id,
+        name: geofence.name,
+        limit: geofence.speedLimit,
+        minDuration: geofence.speedLimitDuration || 0
+      });
+    }
+  }
+  
+  if (candidates.length === 0) {
+    return null;
+  }
+  return candidates.reduce((lowest, rule) => (rule.limit < lowest.limit ? rule : lowest));
+}
+
+function describeSpeedRule(rule) {
+  return rule.type === 'geofence' ? `geofence ${rule.name}` : `${rule.type} limit`;
+}
+
+function raiseSpeedAlert(deviceId, dashcam, violation) {
+  const { rule } = violation;
+  violation.alert = recordAlert(deviceId, dashcam, {
+    id: uuidv4(),
+    deviceId,
+    alertType: 'overspeed',
+    source: 'speed_rule',
+    warnBit: 0x02, // JT808 overspeed alarm bit
+    statusBit: violation.statusBit || 0,
+    location: violation.peakLocation,
+    description: `Overspeed: ${violation.peakSpeed} km/h over ${rule.limit} km/h ${describeSpeedRule(rule)}`,
+    timestamp: violation.startTime,
+    violation: {
+      status: 'ongoing',
+      rule: { type: rule.type, id: rule.id, name: rule.name, limit: rule.limit, minDuration: rule.minDuration },
+      startTime: violation.startTime,
+      endTime: null,
+      duration: null,
+      peakSpeed: violation.peakSpeed,
+      startLocation: violation.startLocation,
+      peakLocation: violation.peakLocation
+    }
+  });
+  logger.info(`Speed violation: ${deviceId} - ${violation.peakSpeed} km/h over ${rule.limit} km/h (${describeSpeedRule(rule)})`);
+}
+
+function endSpeedViolation(deviceId, violation, endTime) {
+  speedViolations.delete(deviceId);
+  const alert = violation.alert;
+  if (!alert) {
+    return;
+  }
+  
+  const duration = Math.round((new Date(endTime) - new Date(violation.startTime)) / 1000);
+  alert.description = `Overspeed: peak ${violation.peakSpeed} km/h over ${violation.rule.limit} km/h ${describeSpeedRule(violation.rule)} for ${duration}s`;
+  alert.location = violation.peakLocation;
+  alert.violation = {
+    ...alert.violation,
+    status: 'ended',
+    endTime,
+    duration,
+    peakSpeed: violation.peakSpeed,
+    peakLocation: violation.peakLocation
+  };
+  
+  logger.info(`Speed violation ended: ${deviceId} - peak ${violation.peakSpeed} km/h for ${duration}s`);
+  const record = alerts.get(alert.id);
+  if (record) {
+    record.details = alert;
+    record.description = alert.description;
+    record.location = alert.location;
+    recordAlertHistory(record, 'updated', 'speed_rule', 'violation ended');
+    publishAlert(record);
+  }
+  emitToDashboards(deviceId, 'jt808_alert', {
+    deviceId,
+    alert,
+    timestamp: new Date()
+  });
+}
+
+function evaluateSpeedRules(deviceId, point) {
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) return;
+  
+  const rule = getEffectiveSpeedRule(deviceId, dashcam);
+  let violation = speedViolations.get(deviceId);
+  
+  if (violation && new Date(point.timestamp) < new Date(violation.lastTime)) {
+    return; // Late, out-of-order report
+  }
+  
+  // Speed back under the limit, or the rule in force changed
+  if (violation && (!rule || rule.id !== violation.rule.id || point.speed <= rule.limit)) {
+    endSpeedViolation(deviceId, violation, point.timestamp);
+    violation = null;
+  }
+  
+  if (!rule || point.speed <= rule.limit) {
+    return;
+  }
+  
+  const location = {
+    latitude: point.latitude,
+    longitude: point.longitude,
+    altitude: point.altitude,
+    speed: point.speed
+  };
+  
+  if (!violation) {
+    violation = {
+      rule,
+      startTime: point.timestamp,
+      startLocation: location,
+      peakSpeed: point.speed,
+      peakLocation: location,
+      statusBit: point.statusBit,
+      alert: null
+    };
+    speedViolations.set(deviceId, violation);
+  }
+  
+  violation.lastTime = point.timestamp;
+  if (point.speed > violation.peakSpeed) {
+    violation.peakSpeed = point.speed;
+    violation.peakLocation = location;
+  }
+  
+  const elapsed = (new Date(point.timestamp) - new Date(violation.startTime)) / 1000;
+  if (!violation.alert && elapsed >= (rule.minDuration || 0)) {
+    raiseSpeedAlert(deviceId, dashcam, violation);
+  }
+}
+
+loadSpeedRules();
+
+// Command catalog
+//
+// Every command a device can be sent, with its parameter schema and the device
+// capabilities it needs. Devices that report `capabilities` at registration are
+// only sent commands they support; devices that don't are not restricted.
+// Aliases are older names accepted for compatibility and rewritten to the canonical name.
+
+const COMMAND_CATALOG = [
+  {
+    name: 'capture_photo',
+    description: 'Take a photo and upload it',
+    aliases: ['takePhoto', 'take_photo'],
+    capabilities: ['camera'],
+    parameters: {
+      camera: { type: 'string', enum: ['front', 'rear', 'both'], description: 'Camera to use' },
+      quality: { type: 'string', enum: ['low', 'medium', 'high'], description: 'Image quality' }
+    }
+  },
+  {
+    name: 'start_video_recording',
+    description: 'Start recording video',
+    capabilities: ['camera', 'video'],
+    parameters: {
+      camera: { type: 'string', enum: ['front', 'rear', 'both'], description: 'Camera to use' },
+      duration: { type: 'integer', min: 1, max: 3600, description: 'Stop automatically after this many seconds' }
+    }
+  },
+  {
+    name: 'stop_video_recording',
+    description: 'Stop recording video and upload the clip',
+    capabilities: ['camera', 'video'],
+    parameters: {}
+  },
+  {
+    name: 'start_audio_recording',
+    description: 'Start recording cabin audio',
+    capabilities: ['audio'],
+    parameters: {
+      duration: { type: 'integer', min: 1, max: 3600, description: 'Stop automatically after this many seconds' }
+    }
+  },
+  {
+    name: 'stop_audio_recording',
+    description: 'Stop recording audio and upload it',
+    capabilities: ['audio'],
+    parameters: {}
+  },
+  {
+    name: 'start_two_way_audio',
+    description: 'Open a two-way audio session with the driver',
+    capabilities: ['audio', 'two_way_audio'],
+    parameters: {}
+  },
+  {
+    name: 'stop_two_way_audio',
+    description: 'Close the two-way audio session',
+    capabilities: ['audio', 'two_way_audio'],
+    parameters: {}
+  },
+  {
+    name: 'tts_speak',
+    description: 'Speak a message to the driver',
+    aliases: ['playTTS'],
+    capabilities: ['tts'],
+    parameters: {
+      message: { type: 'string', required: true, maxLength: 500, description: 'Text to speak' }
+    }
+  },
+  {
+    name: 'start_live_stream',
+    description: 'Start a live video stream',
+    capabilities: ['camera', 'live_stream'],
+    parameters: {
+      camera: { type: 'string', enum: ['front', 'rear'], description: 'Camera to stream' },
+      quality: { type: 'string', enum: ['low', 'medium', 'high'], description: 'Stream quality' }
+    }
+  },
+  {
+    name: 'stop_live_stream',
+    description: 'Stop the live video stream',
+    capabilities: ['camera', 'live_stream'],
+    parameters: {}
+  },
+  {
+    name: 'restart_app',
+    description: 'Restart the dashcam app',
+    capabilities: ['system'],
+    parameters: {}
+  },
+  {
+    name: 'clear_apn_proxy',
+    description: 'Clear the APN proxy setting on the device',
+    capabilities: ['system'],
+    parameters: {}
+  },
+  {
+    name: 'get_device_info',
+    description: 'Report device model, versions, battery and storage',
+    aliases: ['getStatus'],
+    capabilities: [],
+    parameters: {}
+  },
+  {
+    name: 'get_location',
+    description: 'Report the current location',
+    aliases: ['getLocation'],
+    capabilities: ['location'],
+    parameters: {}
+  },
+  {
+    name: 'test_emergency_alert',
+    description: 'Raise a test emergency alert',
+    capabilities: ['alerts'],
+    parameters: {}
+  },
+  {
+    name: 'test_overspeed_alert',
+    description: 'Raise a test overspeed alert',
+    capabilities: ['alerts'],
+    parameters: {}
+  },
+  {
+    name: 'test_fatigue_alert',
+    description: 'Raise a test fatigue alert',
+    capabilities: ['alerts'],
+    parameters: {}
+  }
+];
+
+const commandCatalog = new Map();
+for (const entry of COMMAND_CATALOG) {
+  commandCatalog.set(entry.name, entry);
+  for (const alias of entry.aliases || []) {
+    commandCatalog.set(alias, entry);
+  }
+}
+
+// Check one parameter value against its schema; returns an error message or null
+function validateParameter(name, value, schema) {
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return `Parameter '${name}' must be a string`;
+      if (schema.maxLength && value.length > schema.maxLength) return `Parameter '${name}' must be at most ${schema.maxLength} characters`;
+      if (schema.required && !value.trim()) return `Parameter '${name}' cannot be empty`;
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `Parameter '${name}' must be a number`;
+      if (schema.type === 'integer' && !Number.isInteger(value)) return `Parameter '${name}' must be an integer`;
+      if (schema.min !== undefined && value < schema.min) return `Parameter '${name}' must be at least ${schema.min}`;
+      if (schema.max !== undefined && value > schema.max) return `Parameter '${name}' must be at most ${schema.max}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `Parameter '${name}' must be true or false`;
+      break;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `Parameter '${name}' must be one of: ${schema.enum.join(', ')}`;
+  }
+  return null;
+}
+
+// Validate a command request against the catalog and the target device's capabilities.
+// Returns { error } or { command, parameters } with the canonical command name.
+function validateCommand(dashcam, command, parameters) {
+  if (!command || typeof command !== 'string') {
+    return { error: 'Command name is required' };
+  }
+  const entry = commandCatalog.get(command);
+  if (!entry) {
+    return { error: `Unknown command '${command}'. See GET /api/commands/catalog for available commands` };
+  }
+  
+  const params = parameters === undefined || parameters === null ? {} : parameters;
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return { error: `Parameters for '${entry.name}' must be an object` };
+  }
+  
+  for (const name of Object.keys(params)) {
+    if (!entry.parameters[name]) {
+      return { error: `Unknown parameter '${name}' for command '${entry.name}'` };
+    }
+  }
+  for (const [name, schema] of Object.entries(entry.parameters)) {
+    if (params[name] === undefined) {
+      if (schema.required) {
+        return { error: `Missing required parameter '${name}' for command '${entry.name}'` };
+      }
+      continue;
+    }
+    const error = validateParameter(name, params[name], schema);
+    if (error) {
+      return { error };
+    }
+  }
+  
+  if (Array.isArray(dashcam.capabilities)) {
+    const missing = entry.capabilities.filter(capability => !dashcam.capabilities.includes(capability));
+    if (missing.length > 0) {
+      return { error: `Device does not support '${entry.name}' (missing capabilities: ${missing.join(', ')})` };
+    }
+  }
+  
+  return { command: entry.name, parameters: params };
+}
+
+// Command lifecycle
+//
+// queued -> delivered -> acknowledged -> succeeded | failed | expired | cancelled
+//
+// Active commands live in dashcam.pendingCommands; finished ones move to
+// dashcam.commandHistory. A delivered command that is not acknowledged within
+// COMMAND_ACK_TIMEOUT, or that the device reports as failed, goes back to queued
+// until it has used up maxRetries. Anything still active after its TTL expires.
+
+const COMMAND_TTL = parseInt(process.env.COMMAND_TTL_SECONDS) || 600;
+const COMMAND_MAX_RETRIES = process.env.COMMAND_MAX_RETRIES !== undefined
+  ? parseInt(process.env.COMMAND_MAX_RETRIES)
+  : 3;
+const COMMAND_ACK_TIMEOUT = parseInt(process.env.COMMAND_ACK_TIMEOUT_SECONDS) || 60;
+const COMMAND_HISTORY_LIMIT = 200;
+const COMMAND_DUPLICATE_WINDOW = 5000; // ms
+
+const COMMAND_TRANSITIONS = {
+  queued: ['delivered', 'succeeded', 'cancelled', 'expired'], // succeeded: late response to an earlier delivery
+  delivered: ['acknowledged', 'succeeded', 'failed', 'queued', 'cancelled', 'expired'],
+  acknowledged: ['succeeded', 'failed', 'queued', 'cancelled', 'expired'],
+  succeeded: [],
+  failed: [],
+  expired: [],
+  cancelled: []
+};
+const COMMAND_FINAL_STATES = ['succeeded', 'failed', 'expired', 'cancelled'];
+
+// Commands saved before the lifecycle existed used pending/sent and Date.now() IDs
+function normalizeCommand(cmd) {
+  if (COMMAND_TRANSITIONS[cmd.status]) {
+    return cmd;
+  }
+  const createdAt = cmd.timestamp || new Date();
+  return {
+    ...cmd,
+    status: cmd.status === 'sent' ? 'delivered' : 'queued',
+    createdAt,
+    expiresAt: new Date(new Date(createdAt).getTime() + COMMAND_TTL * 1000),
+    maxRetries: COMMAND_MAX_RETRIES,
+    attempts: cmd.status === 'sent' ? 1 : 0,
+    deliveredAt: cmd.sentAt || null,
+    history: [{ status: 'queued', timestamp: createdAt }]
+  };
+}
+
+// Move a command to a new state, recording the transition; returns false if not allowed
+function transitionCommand(deviceId, dashcam, cmd, status, detail) {
+  if (!COMMAND_TRANSITIONS[cmd.status].includes(status)) {
+    logger.warn(`Command ${cmd.id} (${cmd.command}) for ${deviceId}: invalid transition ${cmd.status} -> ${status}`);
+    return false;
+  }
+  
+  const now = new Date();
+  cmd.status = status;
+  cmd.updatedAt = now;
+  cmd.history.push(detail ? { status, timestamp: now, detail } : { status, timestamp: now });
+  
+  if (status === 'delivered') {
+    cmd.deliveredAt = now;
+    cmd.attempts++;
+  } else if (status === 'acknowledged') {
+    cmd.acknowledgedAt = now;
+  } else if (COMMAND_FINAL_STATES.includes(status)) {
+    cmd.completedAt = now;
+    dashcam.pendingCommands = dashcam.pendingCommands.filter(c => c.id !== cmd.id);
+    if (!dashcam.commandHistory) {
+      dashcam.commandHistory = [];
+    }
+    dashcam.commandHistory.push(cmd);
+    if (dashcam.commandHistory.length > COMMAND_HISTORY_LIMIT) {
+      dashcam.commandHistory.splice(0, dashcam.commandHistory.length - COMMAND_HISTORY_LIMIT);
+    }
+  }
+  
+  logger.info(`Command ${cmd.id} (${cmd.command}) for ${deviceId}: ${status}${detail ? ` - ${detail}` : ''}`);
+  emitToDashboards(deviceId, 'command_status', {
+    deviceId,
+    commandId: cmd.id,
+    command: cmd.command,
+    batchId: cmd.batchId || null,
+    status,
+    attempts: cmd.attempts,
+    detail,
+    timestamp: now
+  });
+  return true;
+}
+
+// Retry a delivered command that failed or went unanswered, or fail it for good
+function retryOrFailCommand(deviceId, dashcam, cmd, reason) {
+  if (cmd.attempts <= cmd.maxRetries) {
+    transitionCommand(deviceId, dashcam, cmd, 'queued', `retry ${cmd.attempts}/${cmd.maxRetries} after ${reason}`);
+    setImmediate(() => dispatchCommands(deviceId));
+  } else {
+    transitionCommand(deviceId, dashcam, cmd, 'failed', reason);
+  }
+}
+
+// Queue a command for a device; returns { command, duplicate }
+function queueCommand(deviceId, dashcam, { command, parameters, ttl, maxRetries, requestedBy, batchId }) {
+  if (!dashcam.pendingCommands) {
+    dashcam.pendingCommands = [];
+  }
+  
+  // Check for duplicate commands (within last 5 seconds)
+  const now = new Date();
+  const duplicate = dashcam.pendingCommands.find(cmd =>
+    cmd.command === command &&
+    now - new Date(cmd.createdAt) < COMMAND_DUPLICATE_WINDOW
+  );
+  if (duplicate) {
+    return { command: duplicate, duplicate: true };
+  }
+  
+  const ttlSeconds = parseInt(ttl) > 0 ? parseInt(ttl) : COMMAND_TTL;
+  const commandData = {
+    id: uuidv4(),
+    command,
+    parameters: parameters || {},
+    timestamp: now,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + ttlSeconds * 1000),
+    maxRetries: parseInt(maxRetries) >= 0 ? parseInt(maxRetries) : COMMAND_MAX_RETRIES,
+    attempts: 0,
+    requestedBy: requestedBy || null,
+    batchId: batchId || null,
+    status: 'queued',
+    deliveredAt: null,
+    acknowledgedAt: null,
+    completedAt: null,
+    result: null,
+    history: [{ status: 'queued', timestamp: now }]
+  };
+  dashcam.pendingCommands.push(commandData);
+  saveDashcamData(deviceId);
+  
+  emitToDashboards(deviceId, 'command_sent', {
+    deviceId,
+    command: commandData
+  });
+  
+  dispatchCommands(deviceId);
+  return { command: commandData, duplicate: false };
+}
+
+// Find the active command a device response refers to: by ID, else the oldest
+// delivered or acknowledged command with that name
+function findActiveCommand(dashcam, commandId, commandName) {
+  const active = dashcam.pendingCommands || [];
+  if (commandId) {
+    return active.find(cmd => cmd.id === String(commandId));
+  }
+  return active.find(cmd => cmd.command === commandName && ['delivered', 'acknowledged'].includes(cmd.status));
+}
+
+// Apply a device's success/failure response to the command it refers to
+function completeCommand(deviceId, commandId, commandName, success, message) {
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) return null;
+  
+  const cmd = findActiveCommand(dashcam, commandId, commandName);
+  if (!cmd) {
+    logger.warn(`Response from ${deviceId} for unknown or finished command ${commandId || commandName}`);
+    return null;
+  }
+  
+  cmd.result = { success: !!success, message: message || null, timestamp: new Date() };
+  if (success) {
+    transitionCommand(deviceId, dashcam, cmd, 'succeeded', message);
+  } else if (cmd.status === 'queued') {
+    logger.info(`Late failure for command ${cmd.id} (${cmd.command}) from ${deviceId}; already queued for retry`);
+  } else {
+    retryOrFailCommand(deviceId, dashcam, cmd, message || 'device reported failure');
+  }
+  saveDashcamData(deviceId);
+  return cmd;
+}
+
+// Expire commands past their TTL and retry deliveries that were never acknowledged
+function sweepCommands() {
+  const now = new Date();
+  
+  for (const [deviceId, dashcam] of dashcamData.entries()) {
+    let changed = false;
+    for (const cmd of [...(dashcam.pendingCommands || [])]) {
+      if (now > new Date(cmd.expiresAt)) {
+        changed = transitionCommand(deviceId, dashcam, cmd, 'expired', 'TTL elapsed') || changed;
+      } else if (cmd.status === 'delivered' && now - new Date(cmd.deliveredAt) > COMMAND_ACK_TIMEOUT * 1000) {
+        retryOrFailCommand(deviceId, dashcam, cmd, 'no acknowledgement');
+        changed = true;
+      }
+    }
+    
+    if (changed) {
+      saveDashcamData(deviceId);
+    }
+  }
+}
+
+setInterval(sweepCommands, 10000); // Check every 10 seconds
+
+// Command delivery
+//
+// Queued commands are pushed straight to devices connected over Socket.IO and
+// acknowledged through the emit callback. Devices without a socket poll
+// GET /commands, optionally long-polling with ?wait=<seconds>.
+
+const COMMAND_LONG_POLL_MAX = 60; // seconds
+
+// deviceId -> long-poll requests waiting for commands, oldest first
+const commandWaiters = new Map();
+
+function removeCommandWaiter(deviceId, waiter) {
+  const waiters = commandWaiters.get(deviceId);
+  if (!waiters) return;
+  const index = waiters.indexOf(waiter);
+  if (index !== -1) waiters.splice(index, 1);
+  if (waiters.length === 0) commandWaiters.delete(deviceId);
+}
+
+// Hand every queued command to an HTTP poll response
+function respondWithQueuedCommands(deviceId, dashcam, res, via) {
+  const queuedCommands = (dashcam.pendingCommands || []).filter(cmd => cmd.status === 'queued');
+  queuedCommands.forEach(cmd => transitionCommand(deviceId, dashcam, cmd, 'delivered', via));
+  if (queuedCommands.length > 0) {
+    saveDashcamData(deviceId);
+  }
+  
+  logger.info(`[DEBUG] Returning ${queuedCommands.length} queued commands to device ${deviceId} (${via})`);
+  res.json({ commands: queuedCommands });
+}
+
+function pushCommandToSocket(deviceId, dashcam, socket, cmd) {
+  transitionCommand(deviceId, dashcam, cmd, 'delivered', 'socket push');
+  
+  socket.timeout(COMMAND_ACK_TIMEOUT * 1000).emit('command', {
+    id: cmd.id,
+    command: cmd.command,
+    parameters: cmd.parameters,
+    expiresAt: cmd.expiresAt,
+    attempt: cmd.attempts
+  }, (err, ack) => {
+    if (err) {
+      // No acknowledgement; the command sweep retries or fails it
+      logger.warn(`Command ${cmd.id} (${cmd.command}) pushed to ${deviceId} was not acknowledged`);
+      return;
+    }
+    if (cmd.status !== 'delivered') {
+      return;
+    }
+    
+    // Devices may ack receipt only, or reply with the final result straight away
+    if (ack && typeof ack.success === 'boolean') {
+      completeCommand(deviceId, cmd.id, cmd.command, ack.success, ack.message);
+    } else {
+      transitionCommand(deviceId, dashcam, cmd, 'acknowledged', 'socket ack');
+      saveDashcamData(deviceId);
+    }
+  });
+}
+
+// Deliver queued commands now if the device is reachable: its socket first, then a waiting long poll
+function dispatchCommands(deviceId) {
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam || !dashcam.pendingCommands) return;
+  
+  const queuedCommands = dashcam.pendingCommands.filter(cmd => cmd.status === 'queued');
+  if (queuedCommands.length === 0) return;
+  
+  const socket = dashcam.socketId && io.sockets.sockets.get(dashcam.socketId);
+  if (socket) {
+    queuedCommands.forEach(cmd => pushCommandToSocket(deviceId, dashcam, socket, cmd));
+    saveDashcamData(deviceId);
+    return;
+  }
+  
+  const waiters = commandWaiters.get(deviceId);
+  if (waiters && waiters.length > 0) {
+    const waiter = waiters[0];
+    removeCommandWaiter(deviceId, waiter);
+    clearTimeout(waiter.timer);
+    respondWithQueuedCommands(deviceId, dashcam, waiter.res, 'HTTP long poll');
+  }
+}
+
+// Bulk commands
+//
+// A batch fans one command out to a list of devices, a group or a tag. Each
+// device gets its own command tagged with the batchId; batch status is read
+// from those commands, so it follows delivery and /response as they happen.
+
+const COMMAND_BATCH_LIMIT = 200;
+const COMMAND_BATCH_MAX_DEVICES = 500;
+
+const commandBatches = new Map();
+
+function saveCommandBatches(ids) {
+  try {
+    persistRecords('commandBatches', commandBatches, ids);
+  } catch (error) {
+    logger.error('Error saving command batches:', error);
+  }
+}
+
+function loadCommandBatches() {
+  try {
+    const data = store.readRecords('commandBatches');
+    if (data.length > 0) {
+      for (const [, batch] of data) {
+        commandBatches.set(batch.id, batch);
+      }
+      logger.info(`Loaded ${commandBatches.size} command batches`);
+    }
+  } catch (error) {
+    logger.error('Error loading command batches:', error);
+  }
+}
+
+// Resolve exactly one of deviceIds, groupId or tag to the devices the operator may address
+function resolveCommandTargets(operator, { deviceIds, groupId, tag }) {
+  const given = [deviceIds !== undefined, groupId !== undefined, tag !== undefined].filter(Boolean).length;
+  if (given !== 1) {
+    return { error: 'Specify exactly one of deviceIds, groupId or tag' };
+  }
+  
+  if (deviceIds !== undefined) {
+    if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
+      return { error: 'deviceIds must be a non-empty array' };
+    }
+    const unique = Array.from(new Set(deviceIds.map(String)));
+    const unknown = unique.filter(deviceId => !dashcamData.has(deviceId) || !canAccessDevice(operator, deviceId));
+    if (unknown.length > 0) {
+      return { error: `Devices not found: ${unknown.join(', ')}` };
+    }
+    return { deviceIds: unique };
+  }
+  
+  if (groupId !== undefined) {
+    const group = groups.get(groupId);
+    if (!group || !canAccessOrganization(operator, group.organizationId)) {
+      return { error: 'Group not found' };
+    }
+    return { deviceIds: group.deviceIds.filter(deviceId => dashcamData.has(deviceId)) };
+  }
+  
+  return {
+    deviceIds: Array.from(dashcamData.entries())
+      .filter(([deviceId, dashcam]) => canAccessDevice(operator, deviceId) && (dashcam.tags || []).includes(tag))
+      .map(([deviceId]) => deviceId)
+  };
+}
+
+function findCommand(dashcam, commandId) {
+  return [...(dashcam.pendingCommands || []), ...(dashcam.commandHistory || [])]
+    .find(cmd => cmd.id === commandId) || null;
+}
+
+// Current per-device state of a batch, with counts by status
+function describeCommandBatch(batch) {
+  const counts = {};
+  const devices = batch.items.map(item => {
+    const dashcam = dashcamData.get(item.deviceId);
+    const cmd = item.commandId && dashcam ? findCommand(dashcam, item.commandId) : null;
+    
+    // Rejected items never became commands; old commands may have aged out of the history
+    const entry = cmd ? {
+      deviceId: item.deviceId,
+      commandId: cmd.id,
+      status: cmd.status,
+      attempts: cmd.attempts,
+      deliveredAt: cmd.deliveredAt,
+      completedAt: cmd.completedAt,
+      result: cmd.result,
+      duplicate: item.duplicate || false
+    } : {
+      deviceId: item.deviceId,
+      commandId: item.commandId || null,
+      status: item.commandId ? 'unknown' : 'rejected',
+      error: item.error || null
+    };
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+    return entry;
+  });
+  
+  const pending = devices.some(entry => !COMMAND_FINAL_STATES.includes(entry.status) &&
+    !['rejected', 'unknown'].includes(entry.status));
+  return {
+    id: batch.id,
+    command: batch.command,
+    parameters: batch.parameters,
+    target: batch.target,
+    requestedBy: batch.requestedBy,
+    scheduleId: batch.scheduleId || null,
+    createdAt: batch.createdAt,
+    status: pending ? 'in_progress' : 'completed',
+    total: devices.length,
+    counts,
+    devices
+  };
+}
+
+// Queue one command per device and record them as a batch; the command must already be validated
+function createCommandBatch({ organizationId, command, parameters, ttl, maxRetries, deviceIds, target, requestedBy, scheduleId = null }) {
+  const batch = {
+    id: uuidv4(),
+    organizationId,
+    command,
+    parameters,
+    target,
+    requestedBy,
+    scheduleId,
+    createdAt: new Date(),
+    items: []
+  };
+  
+  // Capabilities differ, so one device may reject what another accepts
+  for (const deviceId of deviceIds) {
+    const dashcam = dashcamData.get(deviceId);
+    const validation = validateCommand(dashcam, command, parameters);
+    if (validation.error) {
+      batch.items.push({ deviceId, commandId: null, error: validation.error });
+      continue;
+    }
+    const { command: commandData, duplicate } = queueCommand(deviceId, dashcam, {
+      ttl,
+      maxRetries,
+      ...validation,
+      requestedBy,
+      batchId: batch.id
+    });
+    batch.items.push({ deviceId, commandId: commandData.id, duplicate });
+  }
+  
+  commandBatches.set(batch.id, batch);
+  const changed = [batch.id];
+  if (commandBatches.size > COMMAND_BATCH_LIMIT) {
+    const oldest = commandBatches.keys().next().value;
+    commandBatches.delete(oldest);
+    changed.push(oldest);
+  }
+  saveCommandBatches(changed);
+  return batch;
+}
+
+function canAccessBatch(operator, batch) {
+  return isPlatformOperator(operator) || batch.organizationId === operator.organizationId;
+}
+
+loadCommandBatches();
+
+// Scheduled commands
+//
+// A schedule runs a command once (runAt) or on a five-field cron expression
+// (minute hour day-of-month month day-of-week, see lib/cron.js) in an IANA timezone.
+// Each run fans out through createCommandBatch, so run outcomes are the batch status.
+
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
+const SCHEDULE_RUN_HISTORY = 20;
+const SCHEDULE_MISSED_GRACE = 15 * 60 * 1000; // runs missed by more than this while down are skipped
+
+const schedules = new Map();
+
+function saveSchedules(ids) {
+  try {
+    persistRecords('schedules', schedules, ids);
+  } catch (error) {
+    logger.error('Error saving schedules:', error);
+  }
+}
+
+function loadSchedules() {
+  try {
+    const data = store.readRecords('schedules');
+    if (data.length > 0) {
+      for (const [, schedule] of data) {
+        schedules.set(schedule.id, schedule);
+      }
+      logger.info(`Loaded ${schedules.size} schedules`);
+    }
+  } catch (error) {
+    logger.error('Error loading schedules:', error);
+  }
+}
+
+function computeNextRun(schedule, after = new Date()) {
+  if (!schedule.enabled) return null;
+  if (schedule.cron) {
+    return nextCronRun(schedule.cron, schedule.timezone, after);
+  }
+  return schedule.lastRunAt ? null : new Date(schedule.runAt);
+}
+
+// Build a schedule from a request body, validating it; returns { schedule } or { error }
+function buildSchedule(body, operator, existing = {}) {
+  const merged = { ...existing, ...body };
+  const target = body.deviceIds !== undefined || body.groupId !== undefined || body.tag !== undefined
+    ? { deviceIds: body.deviceIds, groupId: body.groupId, tag: body.tag }
+    : existing.target;
+  
+  if (!merged.name || typeof merged.name !== 'string') {
+    return { error: 'name is required' };
+  }
+  const validation = validateCommand({}, merged.command, merged.parameters);
+  if (validation.error) {
+    return { error: validation.error };
+  }
+  const targets = resolveCommandTargets(operator, target || {});
+  if (targets.error) {
+    return { error: targets.error };
+  }
+  
+  const cron = merged.cron || null;
+  const runAt = cron ? null : merged.runAt;
+  if (cron) {
+    try {
+      parseCron(cron);
+    } catch (error) {
+      return { error: error.message };
+    }
+  } else if (!runAt || isNaN(new Date(runAt).getTime())) {
+    return { error: 'Either cron or a valid runAt is required' };
+  }
+  const timezone = merged.timezone || SCHEDULE_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    return { error: `Unknown timezone '${timezone}'` };
+  }
+  
+  const schedule = {
+    id: existing.id || uuidv4(),
+    organizationId: existing.id ? existing.organizationId : operator.organizationId || null,
+    name: merged.name,
+    command: validation.command,
+    parameters: validation.parameters,
+    ttl: merged.ttl,
+    maxRetries: merged.maxRetries,
+    target: target.deviceIds !== undefined
+      ? { deviceIds: targets.deviceIds }
+      : target.groupId !== undefined ? { groupId: target.groupId } : { tag: target.tag },
+    cron,
+    runAt: runAt ? new Date(runAt) : null,
+    timezone,
+    enabled: merged.enabled !== false,
+    createdBy: existing.createdBy || operator.username,
+    createdAt: existing.createdAt || new Date(),
+    updatedAt: new Date(),
+    lastRunAt: existing.lastRunAt || null,
+    runs: existing.runs || []
+  };
+  
+  // Editing the timing of a one-off schedule re-arms it
+  if (!cron && existing.runAt && new Date(existing.runAt).getTime() !== schedule.runAt.getTime()) {
+    schedule.lastRunAt = null;
+  }
+  if (!cron && !schedule.lastRunAt && schedule.runAt < new Date(Date.now() - 60000)) {
+    return { error: 'runAt must be in the future' };
+  }
+  schedule.nextRunAt = computeNextRun(schedule);
+  return { schedule };
+}
+
+function formatSchedule(schedule) {
+  return {
+    ...schedule,
+    runs: schedule.runs.map(run => {
+      const batch = run.batchId && commandBatches.get(run.batchId);
+      if (!batch) return run;
+      const { status, total, counts } = describeCommandBatch(batch);
+      return { ...run, status, total, counts };
+    })
+  };
+}
+
+function canAccessSchedule(operator, schedule) {
+  return isPlatformOperator(operator) || schedule.organizationId === operator.organizationId;
+}
+
+function recordScheduleRun(schedule, run) {
+  schedule.runs.unshift(run);
+  schedule.runs.splice(SCHEDULE_RUN_HISTORY);
+}
+
+function runSchedule(schedule, now) {
+  // Targets are resolved at run time, so group and tag changes are picked up
+  const scope = { organizationId: schedule.organizationId };
+  const targets = resolveCommandTargets(scope, schedule.target);
+  
+  if (targets.error || targets.deviceIds.length === 0) {
+    const error = targets.error || 'No devices match the target';
+    recordScheduleRun(schedule, { runAt: now, batchId: null, error });
+    logger.warn(`Schedule ${schedule.id} (${schedule.name}) did not run: ${error}`);
+    return;
+  }
+  
+  const batch = createCommandBatch({
+    organizationId: schedule.organizationId,
+    command: schedule.command,
+    parameters: schedule.parameters,
+    ttl: schedule.ttl,
+    maxRetries: schedule.maxRetries,
+    deviceIds: targets.deviceIds.slice(0, COMMAND_BATCH_MAX_DEVICES),
+    target: schedule.target,
+    requestedBy: `schedule:${schedule.name}`,
+    scheduleId: schedule.id
+  });
+  recordScheduleRun(schedule, { runAt: now, batchId: batch.id });
+  logger.info(`Schedule ${schedule.id} (${schedule.name}) queued ${schedule.command} for ${batch.items.length} devices`);
+}
+
+function runDueSchedules() {
+  const now = new Date();
+  const changed = [];
+  
+  for (const schedule of schedules.values()) {
+    if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) {
+      continue;
+    }
+    
+    if (now - new Date(schedule.nextRunAt) > SCHEDULE_MISSED_GRACE) {
+      recordScheduleRun(schedule, { runAt: now, batchId: null, error: `Missed run at ${new Date(schedule.nextRunAt).toISOString()}` });
+      logger.warn(`Schedule ${schedule.id} (${schedule.name}) missed its run at ${new Date(schedule.nextRunAt).toISOString()}`);
+    } else {
+      runSchedule(schedule, now);
+    }
+    
+    schedule.lastRunAt = now;
+    schedule.nextRunAt = computeNextRun(schedule, now);
+    if (!schedule.cron) {
+      schedule.enabled = false;
+    }
+    changed.push(schedule.id);
+  }
+  
+  if (changed.length > 0) {
+    saveSchedules(changed);
+  }
+}
+
+loadSchedules();
+setInterval(runDueSchedules, 30000); // Check every 30 seconds
+
+// Device credentials
+//
+// POST /register issues each device a bearer token; only its SHA-256 hash is
+// stored. Device-side HTTP routes and the Socket.IO registration events check
+// it unless DEVICE_AUTH_REQUIRED=false. Unknown device IDs are only created by
+// registration, except where DEVICE_AUTO_REGISTER allows it.
+
+const DEVICE_AUTH_REQUIRED = process.env.DEVICE_AUTH_REQUIRED !== 'false';
+const DEVICE_PROVISIONING_CODE = process.env.DEVICE_PROVISIONING_CODE || null;
+const DEVICE_AUTO_REGISTER_POLICIES = ['none', 'jt808', 'all'];
+const DEVICE_AUTO_REGISTER = DEVICE_AUTO_REGISTER_POLICIES.includes(process.env.DEVICE_AUTO_REGISTER)
+  ? process.env.DEVICE_AUTO_REGISTER
+  : 'jt808';
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function secretsMatch(a, b) {
+  if (!a || !b) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashSecret(a), 'hex'), Buffer.from(hashSecret(b), 'hex'));
+}
+
+// Issue a new token, replacing any previous one; returns the plain token
+function issueDeviceCredentials(dashcam) {
+  const token = `dev_${crypto.randomBytes(24).toString('hex')}`;
+  const now = new Date();
+  dashcam.credentials = {
+    tokenHash: hashSecret(token),
+    issuedAt: (dashcam.credentials && dashcam.credentials.issuedAt) || now,
+    rotatedAt: dashcam.credentials ? now : null,
+    revokedAt: null
+  };
+  return token;
+}
+
+function revokeDeviceCredentials(dashcam) {
+  dashcam.credentials = {
+    ...dashcam.credentials,
+    tokenHash: null,
+    revokedAt: new Date()
+  };
+}
+
+function hasDeviceCredentials(dashcam) {
+  return Boolean(dashcam && dashcam.credentials && dashcam.credentials.tokenHash);
+}
+
+function verifyDeviceToken(dashcam, token) {
+  if (!hasDeviceCredentials(dashcam) || !token) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(dashcam.credentials.tokenHash, 'hex'),
+    Buffer.from(hashSecret(token), 'hex')
+  );
+}
+
+// Credential metadata safe to show to clients
+function describeDeviceCredentials(dashcam) {
+  const credentials = dashcam.credentials || {};
+  return {
+    active: hasDeviceCredentials(dashcam),
+    issuedAt: credentials.issuedAt || null,
+    rotatedAt: credentials.rotatedAt || null,
+    revokedAt: credentials.revokedAt || null
+  };
+}
+
+// Devices send `Authorization: Bearer <token>` or `X-Device-Token: <token>`
+function getRequestDeviceToken(req) {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.get('x-device-token') || null;
+}
+
+// Middleware for device-side routes with a :deviceId param
+function authenticateDevice(req, res, next) {
+  if (!DEVICE_AUTH_REQUIRED) {
+    return next();
+  }
+  
+  const { deviceId } = req.params;
+  if (!verifyDeviceToken(dashcamData.get(deviceId), getRequestDeviceToken(req))) {
+    logger.warn(`Rejected unauthenticated device request: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({ error: 'Invalid or missing device credentials', deviceId });
+  }
+  next();
+}
+
+// Whether a device that reports in without registering may be created, by channel ('http' or 'jt808_tcp')
+function canAutoRegister(channel) {
+  return DEVICE_AUTO_REGISTER === 'all' || (DEVICE_AUTO_REGISTER === 'jt808' && channel === 'jt808_tcp');
+}
+
+// Sockets prove which device they are through dashcam_register or device_reconnect
+function authenticateDeviceSocket(socket, deviceId, token) {
+  if (!DEVICE_AUTH_REQUIRED) {
+    socket.data.deviceId = deviceId;
+    return true;
+  }
+  
+  const presented = token || (socket.handshake.auth && socket.handshake.auth.token);
+  if (!verifyDeviceToken(dashcamData.get(deviceId), presented)) {
+    logger.warn(`Rejected unauthenticated socket ${socket.id} for device ${deviceId}`);
+    socket.emit('auth_error', { error: 'Invalid or missing device credentials', deviceId });
+    return false;
+  }
+  socket.data.deviceId = deviceId;
+  return true;
+}
+
+function isDeviceSocket(socket, deviceId) {
+  return !DEVICE_AUTH_REQUIRED || socket.data.deviceId === deviceId;
+}
+
+// Drop a device's live socket, e.g. after its credentials change
+function disconnectDeviceSocket(deviceId, dashcam) {
+  const socket = dashcam.socketId && io.sockets.sockets.get(dashcam.socketId);
+  if (socket) {
+    socket.emit('auth_error', { error: 'Device credentials changed', deviceId });
+    socket.disconnect(true);
+  }
+}
+
+// Operator accounts
+//
+// Dashboard users and API clients authenticate as operators, either with a
+// login session (cookie or bearer token) or a long-lived API token. Each
+// operator has a role; routes and dashboard socket events check permissions.
+
+const OPERATOR_SESSION_HOURS = parseFloat(process.env.OPERATOR_SESSION_HOURS) || 12;
+const OPERATOR_SESSION_COOKIE = 'fleet_session';
+
+const OPERATOR_ROLES = {
+  viewer: ['view'],
+  dispatcher: ['view', 'command'],
+  admin: ['view', 'command', 'manage']
+};
+
+// operatorId -> operator
+const operators = new Map();
+// session token hash -> { operatorId, expiresAt }; one store record each, so logins survive a restart
+const operatorSessions = new Map();
+
+function saveOperatorSession(key) {
+  try {
+    store.writeRecords('operatorSessions', [[key, operatorSessions.get(key)]]);
+  } catch (error) {
+    logger.error('Error saving operator session:', error);
+  }
+}
+
+function deleteOperatorSessions(keys) {
+  if (keys.length === 0) return;
+  keys.forEach(key => operatorSessions.delete(key));
+  try {
+    store.deleteRecords('operatorSessions', keys);
+  } catch (error) {
+    logger.error('Error deleting operator sessions:', error);
+  }
+}
+
+function loadOperatorSessions() {
+  try {
+    const now = new Date();
+    const expired = [];
+    for (const [key, session] of store.readRecords('operatorSessions')) {
+      session.expiresAt = new Date(session.expiresAt);
+      if (session.expiresAt < now) {
+        expired.push(key);
+      } else {
+        operatorSessions.set(key, session);
+      }
+    }
+    if (expired.length > 0) {
+      store.deleteRecords('operatorSessions', expired);
+    }
+  } catch (error) {
+    logger.error('Error loading operator sessions:', error);
+  }
+}
+
+function saveOperators(ids) {
+  try {
+    persistRecords('operators', operators, ids);
+  } catch (error) {
+    logger.error('Error saving operators:', error);
+  }
+}
+
+function loadOperators() {
+  try {
+    const data = store.readRecords('operators');
+    if (data.length > 0) {
+      for (const [, operator] of data) {
+        // Accounts from before tenants existed: admins stay platform-wide, others join the default organization
+        if (operator.organizationId === undefined) {
+          operator.organizationId = operator.role === 'admin' ? null : DEFAULT_ORGANIZATION_ID;
+        }
+        operators.set(operator.id, operator);
+      }
+      logger.info(`Loaded ${operators.size} operators`);
+    }
+  } catch (error) {
+    logger.error('Error loading operators:', error);
+  }
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  if (!password || !stored) return false;
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(String(password), salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+function findOperatorByUsername(username) {
+  const wanted = String(username || '').toLowerCase();
+  return Array.from(operators.values()).find(operator => operator.username.toLowerCase() === wanted);
+}
+
+// Operator fields safe to return to clients
+function formatOperator(operator) {
+  return {
+    id: operator.id,
+    username: operator.username,
+    role: operator.role,
+    organizationId: operator.organizationId || null,
+    disabled: Boolean(operator.disabled),
+    createdAt: operator.createdAt,
+    lastLoginAt: operator.lastLoginAt || null,
+    apiTokens: (operator.apiTokens || []).map(({ tokenHash, ...token }) => token)
+  };
+}
+
+function validateOperator(data, { partial = false } = {}) {
+  if (!partial || data.username !== undefined) {
+    if (typeof data.username !== 'string' || !/^[A-Za-z0-9._-]{3,64}$/.test(data.username)) {
+      return 'username must be 3-64 letters, digits, dots, dashes or underscores';
+    }
+  }
+  if (!partial || data.password !== undefined) {
+    if (typeof data.password !== 'string' || data.password.length < 8) {
+      return 'password must be at least 8 characters';
+    }
+  }
+  if (!partial || data.role !== undefined) {
+    if (!OPERATOR_ROLES[data.role]) {
+      return `role must be one of: ${Object.keys(OPERATOR_ROLES).join(', ')}`;
+    }
+  }
+  return null;
+}
+
+function createOperator({ username, password, role, organizationId = null }) {
+  const operator = {
+    id: uuidv4(),
+    username,
+    passwordHash: hashPassword(password),
+    role,
+    organizationId,
+    disabled: false,
+    createdAt: new Date(),
+    lastLoginAt: null,
+    apiTokens: []
+  };
+  operators.set(operator.id, operator);
+  saveOperators(operator.id);
+  return operator;
+}
+
+// Without any operators, create an admin from ADMIN_USERNAME/ADMIN_PASSWORD (or a generated password).
+// A generated password is printed to the console once and never written to the log files.
+function ensureBootstrapAdmin() {
+  if (operators.size > 0) return;
+  
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  let password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    password = crypto.randomBytes(12).toString('base64url');
+    logger.warn(`No operators configured; created admin '${username}' with a generated password (printed to the console)`);
+    console.log(`🔑 Generated password for admin '${username}': ${password}`);
+  } else {
+    logger.info(`No operators configured; created admin '${username}' from ADMIN_PASSWORD`);
+  }
+  createOperator({ username, password, role: 'admin' });
+}
+
+function createOperatorSession(operator) {
+  const token = `ses_${crypto.randomBytes(32).toString('hex')}`;
+  const expiresAt = new Date(Date.now() + OPERATOR_SESSION_HOURS * 3600000);
+  const key = hashSecret(token);
+  operatorSessions.set(key, { operatorId: operator.id, expiresAt });
+  saveOperatorSession(key);
+  return { token, expiresAt };
+}
+
+function endOperatorSessions(operatorId) {
+  const keys = [];
+  for (const [key, session] of operatorSessions.entries()) {
+    if (session.operatorId === operatorId) {
+      keys.push(key);
+    }
+  }
+  deleteOperatorSessions(keys);
+}
+
+// Resolve a session or API token to an active operator, or null
+function resolveOperatorToken(token) {
+  if (!token) return null;
+  const tokenHash = hashSecret(token);
+  
+  if (token.startsWith('ses_')) {
+    const session = operatorSessions.get(tokenHash);
+    if (!session) return null;
+    if (session.expiresAt < new Date()) {
+      deleteOperatorSessions([tokenHash]);
+      return null;
+    }
+    const operator = operators.get(session.operatorId);
+    return operator && !operator.disabled ? operator : null;
+  }
+  
+  if (token.startsWith('opk_')) {
+    for (const operator of operators.values()) {
+      const apiToken = (operator.apiTokens || []).find(entry => entry.tokenHash === tokenHash);
+      if (apiToken) {
+        if (operator.disabled) return null;
+        apiToken.lastUsedAt = new Date();
+        return operator;
+      }
+    }
+  }
+  return null;
+}
+
+function getRequestOperatorToken(req) {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return parseCookies(req.headers.cookie)[OPERATOR_SESSION_COOKIE] || null;
+}
+
+function operatorCan(operator, permission) {
+  return Boolean(operator && (OPERATOR_ROLES[operator.role] || []).includes(permission));
+}
+
+// Middleware: require an operator holding the given permission; sets req.operator.
+// Devices in a :deviceId param must belong to the operator's organization, and
+// { platform: true } routes are limited to platform operators.
+function requirePermission(permission, { platform = false } = {}) {
+  return (req, res, next) => {
+    const operator = resolveOperatorToken(getRequestOperatorToken(req));
+    if (!operator) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!operatorCan(operator, permission)) {
+      logger.warn(`Operator ${operator.username} (${operator.role}) denied ${permission}: ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: `Your role does not allow this (${permission} permission required)` });
+    }
+    if (platform && !isPlatformOperator(operator)) {
+      return res.status(403).json({ error: 'Only platform operators can do this' });
+    }
+    if (req.params.deviceId && !canAccessDevice(operator, req.params.deviceId)) {
+      return res.status(404).json({ error: 'Device not found', deviceId: req.params.deviceId });
+    }
+    req.operator = operator;
+    next();
+  };
+}
+
+// The operator behind a dashboard socket, re-read so role changes apply at once
+function getSocketOperator(socket) {
+  const operator = socket.data.operatorId && operators.get(socket.data.operatorId);
+  return operator && !operator.disabled ? operator : null;
+}
+
+function socketCan(socket, permission) {
+  return operatorCan(getSocketOperator(socket), permission);
+}
+
+// Dashboards authenticate in the handshake (session cookie or auth.token) and join the
+// broadcast room; devices connect without operator credentials
+io.use((socket, next) => {
+  // Socket.IO does not catch middleware errors, and a throw here would end the process
+  try {
+    const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+      parseCookies(socket.handshake.headers.cookie)[OPERATOR_SESSION_COOKIE];
+    const operator = resolveOperatorToken(token);
+    if (operator) {
+      socket.data.operatorId = operator.id;
+      socket.join(dashboardRoom(operator.organizationId));
+    }
+  } catch (error) {
+    logger.error('Error authenticating dashboard socket:', error);
+    return next(error);
+  }
+  next();
+});
+
+// Drop dashboard sockets of an operator whose access was revoked
+function disconnectOperatorSockets(operatorId) {
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.data.operatorId === operatorId) {
+      socket.disconnect(true);
+    }
+  }
+}
+
+loadOperators();
+loadOperatorSessions();
+ensureBootstrapAdmin();
+
+// Organizations and device groups
+//
+// Each device, operator, group and geofence belongs to an organization.
+// Operators see only their organization's devices and data; operators without
+// an organization are platform operators and see every tenant. Groups are
+// named sets of devices within an organization; devices also carry free-form tags.
+
+
+const organizations = new Map();
+const groups = new Map();
+
+function saveOrganizations(ids) {
+  try {
+    persistRecords('organizations', organizations, ids);
+  } catch (error) {
+    logger.error('Error saving organizations:', error);
+  }
+}
+
+function loadOrganizations() {
+  try {
+    const data = store.readRecords('organizations');
+    if (data.length > 0) {
+      for (const [, organization] of data) {
+        organizations.set(organization.id, organization);
+      }
+      logger.info(`Loaded ${organizations.size} organizations`);
+    }
+  } catch (error) {
+    logger.error('Error loading organizations:', error);
+  }
+  
+  // Devices from before tenants existed belong to the default organization
+  if (!organizations.has(DEFAULT_ORGANIZATION_ID)) {
+    organizations.set(DEFAULT_ORGANIZATION_ID, {
+      id: DEFAULT_ORGANIZATION_ID,
+      name: 'Default',
+      provisioningCodeHash: null,
+      createdAt: new Date()
+    });
+    saveOrganizations(DEFAULT_ORGANIZATION_ID);
+  }
+}
+
+function saveGroups(ids) {
+  try {
+    persistRecords('groups', groups, ids);
+  } catch (error) {
+    logger.error('Error saving groups:', error);
+  }
+}
+
+function loadGroups() {
+  try {
+    const data = store.readRecords('groups');
+    if (data.length > 0) {
+      for (const [, group] of data) {
+        groups.set(group.id, group);
+      }
+      logger.info(`Loaded ${groups.size} device groups`);
+    }
+  } catch (error) {
+    logger.error('Error loading groups:', error);
+  }
+}
+
+function formatOrganization(organization) {
+  return {
+    id: organization.id,
+    name: organization.name,
+    hasProvisioningCode: Boolean(organization.provisioningCodeHash),
+    createdAt: organization.createdAt,
+    deviceCount: Array.from(dashcamData.values()).filter(dashcam => dashcam.organizationId === organization.id).length
+  };
+}
+
+// The organization whose provisioning code matches, if any
+function findOrganizationByProvisioningCode(code) {
+  if (!code) return null;
+  const codeHash = hashSecret(code);
+  return Array.from(organizations.values()).find(organization => organization.provisioningCodeHash === codeHash) || null;
+}
+
+function getDeviceOrganizationId(deviceId) {
+  const dashcam = dashcamData.get(deviceId);
+  return (dashcam && dashcam.organizationId) || DEFAULT_ORGANIZATION_ID;
+}
+
+function isPlatformOperator(operator) {
+  return !operator.organizationId;
+}
+
+function canAccessOrganization(operator, organizationId) {
+  return isPlatformOperator(operator) || operator.organizationId === organizationId;
+}
+
+function canAccessDevice(operator, deviceId) {
+  return canAccessOrganization(operator, getDeviceOrganizationId(deviceId));
+}
+
+// The organization new records of an operator go to: their own, or the requested one for platform operators
+function resolveOrganizationId(operator, requested) {
+  if (!isPlatformOperator(operator)) {
+    return operator.organizationId;
+  }
+  return requested || DEFAULT_ORGANIZATION_ID;
+}
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return Array.from(new Set(tags.map(tag => String(tag).trim()).filter(Boolean)));
+}
+
+function validateGroup(group) {
+  if (!group.name || typeof group.name !== 'string') {
+    return 'name is required';
+  }
+  if (!organizations.has(group.organizationId)) {
+    return 'Unknown organizationId';
+  }
+  const foreign = group.deviceIds.filter(deviceId => !dashcamData.has(deviceId) ||
+    getDeviceOrganizationId(deviceId) !== group.organizationId);
+  if (foreign.length > 0) {
+    return `Devices not found in the group's organization: ${foreign.join(', ')}`;
+  }
+  return null;
+}
+
+// Dashboards join their organization's room; platform operators join the 'all' room
+function dashboardRoom(organizationId) {
+  return `dashboards:${organizationId || 'all'}`;
+}
+
+// Broadcast a device's event to the dashboards of its organization and to platform
+// operators, and to webhooks subscribed to it
+function emitToDashboards(deviceId, event, payload) {
+  const organizationId = getDeviceOrganizationId(deviceId);
+  io.to(dashboardRoom(organizationId)).to(dashboardRoom(null)).emit(event, payload);
+  publishWebhookEvent(organizationId, event, payload);
+}
+
+loadOrganizations();
+loadGroups();
+
+// Webhooks
+//
+// Subscriptions receive dashboard events for their organization's devices (platform
+// subscriptions receive all of them) as signed JSON POSTs. Deliveries are queued as
+// webhookDeliveries records in the store and retried with exponential backoff until
+// they succeed or run out of attempts.
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_TIMEOUT = (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+const WEBHOOK_RETRY_BASE = 30 * 1000; // doubles after each failed attempt
+const WEBHOOK_RETRY_MAX = 60 * 60 * 1000;
+const WEBHOOK_DELIVERY_LIMIT = 1000; // finished deliveries kept for the log
+
+const WEBHOOK_EVENTS = [
+  'jt808_alert',
+  'devices_offline',
+  'media_uploaded',
+  'command_response',
+  'command_status',
+  'geofence_event',
+  'trip_started',
+  'trip_ended',
+  'dashcam_event',
+  'dashcam_status',
+  'alert_updated',
+  'alert_escalated'
+];
+
+const webhooks = new Map();
+let webhookDeliveries = [];
+const deliveringWebhooks = new Set();
+
+function saveWebhooks(ids) {
+  try {
+    persistRecords('webhooks', webhooks, ids);
+  } catch (error) {
+    logger.error('Error saving webhooks:', error);
+  }
+}
+
+function loadWebhooks() {
+  try {
+    const data = store.readRecords('webhooks');
+    if (data.length > 0) {
+      for (const [, webhook] of data) {
+        webhooks.set(webhook.id, webhook);
+      }
+      logger.info(`Loaded ${webhooks.size} webhooks`);
+    }
+  } catch (error) {
+    logger.error('Error loading webhooks:', error);
+  }
+}
+
+// Write the given deliveries and delete the records of `removedIds`
+function saveWebhookDeliveries(changed, removedIds = []) {
+  // Drop the oldest finished deliveries; pending ones stay until they finish
+  const finished = webhookDeliveries.filter(delivery => delivery.status !== 'pending');
+  const dropped = new Set();
+  if (finished.length > WEBHOOK_DELIVERY_LIMIT) {
+    finished.slice(0, finished.length - WEBHOOK_DELIVERY_LIMIT).forEach(delivery => dropped.add(delivery));
+    webhookDeliveries = webhookDeliveries.filter(delivery => !dropped.has(delivery));
+  }
+  
+  try {
+    store.writeRecords('webhookDeliveries', changed
+      .filter(delivery => !dropped.has(delivery))
+      .map(delivery => [delivery.id, delivery]));
+    store.deleteRecords('webhookDeliveries', [...removedIds, ...Array.from(dropped, delivery => delivery.id)]);
+  } catch (error) {
+    logger.error('Error saving webhook deliveries:', error);
+  }
+}
+
+function loadWebhookDeliveries() {
+  try {
+    const data = store.readRecords('webhookDeliveries');
+    if (data.length > 0) {
+      webhookDeliveries = data.map(([, delivery]) => delivery);
+      const pending = webhookDeliveries.filter(delivery => delivery.status === 'pending').length;
+      logger.info(`Loaded ${webhookDeliveries.length} webhook deliveries (${pending} pending)`);
+    }
+  } catch (error) {
+    logger.error('Error loading webhook deliveries:', error);
+  }
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Signature over "<timestamp>.<body>" so receivers can reject replayed requests
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function formatWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+function validateWebhook({ url, events }) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return 'url must be an http or https URL';
+    }
+  } catch (error) {
+    return 'url must be an http or https URL';
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    return `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+function canAccessWebhook(operator, webhook) {
+  return isPlatformOperator(operator) || webhook.organizationId === operator.organizationId;
+}
+
+function queueWebhookDelivery(webhook, event, body, replayOf = null) {
+  const delivery = {
+    id: uuidv4(),
+    webhookId: webhook.id,
+    event,
+    body,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    lastAttemptAt: null,
+    responseStatus: null,
+    error: null,
+    replayOf,
+    createdAt: new Date(),
+    deliveredAt: null
+  };
+  webhookDeliveries.push(delivery);
+  return delivery;
+}
+
+// Queue an event for every enabled subscription that can see the organization
+function publishWebhookEvent(organizationId, event, data) {
+  const subscribers = Array.from(webhooks.values()).filter(webhook =>
+    webhook.enabled && webhook.events.includes(event) &&
+    (!webhook.organizationId || webhook.organizationId === organizationId));
+  if (subscribers.length === 0) return;
+  
+  const timestamp = new Date();
+  const queued = subscribers.map(webhook => {
+    const body = JSON.stringify({ id: uuidv4(), event, timestamp, organizationId, data });
+    return queueWebhookDelivery(webhook, event, body);
+  });
+  saveWebhookDeliveries(queued);
+  setImmediate(processWebhookDeliveries);
+}
+
+async function attemptWebhookDelivery(delivery) {
+  const webhook = webhooks.get(delivery.webhookId);
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.error = 'Webhook deleted';
+    return;
+  }
+  
+  const timestamp = Math.floor(Date.now() / 1000);
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+  
+  try {
+    const response = await axios.post(webhook.url, delivery.body, {
+      timeout: WEBHOOK_TIMEOUT,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'fleet-webhooks/1.0',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, delivery.body)}`
+      }
+    });
+    delivery.responseStatus = response.status;
+    delivery.error = response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = null;
+    delivery.error = error.message;
+  }
+  
+  if (!delivery.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    logger.warn(`Webhook delivery ${delivery.id} to ${webhook.url} failed after ${delivery.attempts} attempts: ${delivery.error}`);
+  } else {
+    const backoff = Math.min(WEBHOOK_RETRY_BASE * Math.pow(2, delivery.attempts - 1), WEBHOOK_RETRY_MAX);
+    delivery.nextAttemptAt = new Date(Date.now() + backoff);
+    logger.info(`Webhook delivery ${delivery.id} to ${webhook.url} failed (${delivery.error}), retrying in ${backoff / 1000}s`);
+  }
+}
+
+async function processWebhookDeliveries() {
+  const now = new Date();
+  const due = webhookDeliveries.filter(delivery => delivery.status === 'pending' &&
+    !deliveringWebhooks.has(delivery.id) && new Date(delivery.nextAttemptAt) <= now);
+  if (due.length === 0) return;
+  
+  due.forEach(delivery => deliveringWebhooks.add(delivery.id));
+  await Promise.all(due.map(delivery => attemptWebhookDelivery(delivery)
+    .finally(() => deliveringWebhooks.delete(delivery.id))));
+  saveWebhookDeliveries(due);
+}
+
+loadWebhooks();
+loadWebhookDeliveries();
+setInterval(processWebhookDeliveries, 5000); // Check every 5 seconds
+
+// Media index
+//
+// Upload metadata is kept in the store's mediaIndex records. On startup the index is reconciled
+// with uploads/: entries whose file is gone are flagged `missing`, and files with
+// no entry are reported as orphans.
+
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+
+const MEDIA_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.3gp': 'video/3gpp',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg'
+};
+
+let mediaReconciliation = null;
+
+// Write the index entries of the given files; files no longer indexed are deleted
+function saveMediaIndex(filenames) {
+  try {
+    const written = [];
+    const removed = [];
+    for (const filename of [].concat(filenames)) {
+      const category = ['images', 'videos', 'audio'].find(name => mediaFiles[name].some(f => f.filename === filename));
+      if (category) {
+        written.push([filename, { category, file: mediaFiles[category].find(f => f.filename === filename) }]);
+      } else {
+        removed.push(filename);
+      }
+    }
+    store.writeRecords('mediaIndex', written);
+    store.deleteRecords('mediaIndex', removed);
+  } catch (error) {
+    logger.error('Error saving media index:', error);
+  }
+}
+
+function loadMediaIndex() {
+  try {
+    const data = store.readRecords('mediaIndex');
+    if (data.length > 0) {
+      for (const [, { category, file }] of data) {
+        mediaFiles[category].push({
+          ...file,
+          mimetype: file.mimetype || MEDIA_MIME_TYPES[path.extname(file.filename).toLowerCase()] || null
+        });
+      }
+      logger.info(`Loaded media index: ${mediaFiles.images.length} images, ${mediaFiles.videos.length} videos, ${mediaFiles.audio.length} audio`);
+    }
+  } catch (error) {
+    logger.error('Error loading media index:', error);
+  }
+}
+
+// Add an upload to the index under images, videos or audio
+function indexMediaFile(category, file) {
+  mediaFiles[category].push(file);
+  saveMediaIndex(file.filename);
+  queueThumbnails(file);
+}
+
+// Drop media from the index in one write, then delete the files and their thumbnails
+async function removeMediaFiles(filenames) {
+  const removed = new Set(filenames);
+  if (removed.size === 0) return;
+  for (const category of ['images', 'videos', 'audio']) {
+    mediaFiles[category] = mediaFiles[category].filter(f => !removed.has(f.filename));
+  }
+  saveMediaIndex([...removed]);
+  
+  for (const filename of removed) {
+    try {
+      await fs.remove(path.join(UPLOADS_DIR, filename));
+      await removeThumbnails({ filename });
+    } catch (error) {
+      logger.error(`Error deleting media file ${filename}:`, error);
+    }
+  }
+}
+
+function reconcileMediaIndex() {
+  const onDisk = new Map();
+  try {
+    for (const entry of fs.readdirSync(UPLOADS_DIR, { withFileTypes: true })) {
+      if (entry.isFile()) {
+        onDisk.set(entry.name, fs.statSync(path.join(UPLOADS_DIR, entry.name)));
+      }
+    }
+  } catch (error) {
+    logger.error('Error reading uploads directory:', error);
+    return;
+  }
+  
+  const indexed = new Set();
+  const missing = [];
+  const changed = [];
+  for (const file of [...mediaFiles.images, ...mediaFiles.videos, ...mediaFiles.audio]) {
+    indexed.add(file.filename);
+    const isMissing = !onDisk.has(file.filename);
+    if (Boolean(file.missing) !== isMissing) {
+      file.missing = isMissing;
+      changed.push(file.filename);
+    }
+    if (isMissing) {
+      missing.push({ filename: file.filename, deviceId: file.deviceId, uploadedAt: file.uploadedAt });
+    }
+  }
+  
+  const orphans = Array.from(onDisk.entries())
+    .filter(([filename]) => !indexed.has(filename))
+    .map(([filename, stats]) => ({
+      filename,
+      size: stats.size,
+      mimetype: MEDIA_MIME_TYPES[path.extname(filename).toLowerCase()] || null,
+      modifiedAt: stats.mtime
+    }));
+  
+  mediaReconciliation = { checkedAt: new Date(), indexed: indexed.size, missing, orphans };
+  if (changed.length > 0) {
+    saveMediaIndex(changed);
+  }
+  if (missing.length > 0 || orphans.length > 0) {
+    logger.warn(`Media index reconciled: ${missing.length} entries missing their file, ${orphans.length} orphaned files in uploads/`);
+  } else {
+    logger.info(`Media index reconciled: ${indexed.size} files`);
+  }
+}
+
+loadMediaIndex();
+reconcileMediaIndex();
+
+// Signed media URLs
+//
+// Media and thumbnails are only served with a signature over the path and an expiry
+// time, so URLs handed to a dashboard stop working after MEDIA_URL_TTL_SECONDS.
+// Without MEDIA_URL_SECRET a random secret is used and URLs end with the process.
+
+const MEDIA_URL_TTL = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 900;
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.MEDIA_URL_SECRET) {
+  logger.warn('MEDIA_URL_SECRET is not set; signed media URLs will not survive a restart');
+}
+
+const { createSignedMediaUrl, verifySignedMediaUrl } = createMediaUrlSigner(MEDIA_URL_SECRET, MEDIA_URL_TTL);
+
+// Soft-deleted media stays on disk, hidden, until its restore window ends
+const MEDIA_RESTORE_DAYS = parseInt(process.env.MEDIA_RESTORE_DAYS) || 7;
+
+// Thumbnails
+//
+// Photos get JPEG thumbnails in a few widths under uploads/thumbnails/. Videos get
+// the same sizes from a poster frame when the container carries a JPEG near the start
+// (MJPEG clips, embedded cover art); otherwise they use a static placeholder.
+// Generation runs one file at a time in the background after the upload is indexed.
+
+const THUMBNAILS_DIR = path.join(UPLOADS_DIR, 'thumbnails');
+const THUMBNAIL_SIZES = { small: 160, medium: 320, large: 640 };
+const VIDEO_POSTER_SCAN_BYTES = 8 * 1024 * 1024;
+const VIDEO_POSTER_CHUNK_BYTES = 64 * 1024;
+const JPEG_START = Buffer.from([0xff, 0xd8, 0xff]);
+const JPEG_END = Buffer.from([0xff, 0xd9]);
+const VIDEO_PLACEHOLDER_URL = '/video-placeholder.svg';
+
+const thumbnailQueue = [];
+let thumbnailsRunning = false;
+
+function getThumbnailFilename(filename, size) {
+  return `${path.parse(filename).name}-${size}.jpg`;
+}
+
+async function removeThumbnails(file) {
+  for (const size of Object.keys(THUMBNAIL_SIZES)) {
+    await fs.remove(path.join(THUMBNAILS_DIR, getThumbnailFilename(file.filename, size)));
+  }
+}
+
+// First JPEG in the start of a video file, or null. The file is read in chunks until
+// the first complete JPEG, and only that one is tried.
+async function extractVideoPoster(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  let poster = null;
+  try {
+    const parts = [];
+    let carry = Buffer.alloc(0);
+    for (let position = 0; position < VIDEO_POSTER_SCAN_BYTES;) {
+      const chunk = Buffer.alloc(VIDEO_POSTER_CHUNK_BYTES);
+      const { bytesRead } = await handle.read(chunk, 0, chunk.length, position);
+      if (bytesRead === 0) break;
+      position += bytesRead;
+      // The end of the previous chunk is searched again for markers split across chunks
+      const data = Buffer.concat([carry, chunk.subarray(0, bytesRead)]);
+      
+      if (parts.length === 0) {
+        const start = data.indexOf(JPEG_START);
+        if (start === -1) {
+          carry = data.subarray(-(JPEG_START.length - 1));
+          continue;
+        }
+        const end = data.indexOf(JPEG_END, start + JPEG_START.length);
+        if (end !== -1) {
+          poster = data.subarray(start, end + JPEG_END.length);
+          break;
+        }
+        parts.push(data.subarray(start));
+      } else {
+        const end = data.indexOf(JPEG_END);
+        if (end !== -1) {
+          parts.push(data.subarray(carry.length, end + JPEG_END.length));
+          poster = Buffer.concat(parts);
+          break;
+        }
+        parts.push(data.subarray(carry.length));
+      }
+      carry = data.subarray(-1);
+    }
+  } finally {
+    await handle.close();
+  }
+  
+  if (!poster) return null;
+  try {
+    await sharp(poster).metadata();
+    return poster;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function generateThumbnails(file) {
+  const category = getMediaCategory(file.mimetype);
+  if (category !== 'images' && category !== 'videos') return;
+  
+  const filePath = path.join(UPLOADS_DIR, file.filename);
+  try {
+    const source = category === 'images' ? filePath : await extractVideoPoster(filePath);
+    if (!source) {
+      file.thumbnailStatus = 'placeholder';
+    } else {
+      for (const [size, width] of Object.entries(THUMBNAIL_SIZES)) {
+        await sharp(source)
+          .rotate()
+          .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality: 80 })
+          .toFile(path.join(THUMBNAILS_DIR, getThumbnailFilename(file.filename, size)));
+      }
+      file.thumbnailStatus = 'ready';
+    }
+  } catch (error) {
+    logger.error(`Error generating thumbnails for ${file.filename}: ${error.message}`);
+    file.thumbnailStatus = category === 'videos' ? 'placeholder' : 'failed';
+  }
+  
+  // The file may have been deleted while its thumbnails were being made
+  if (findMediaFile(file.filename) !== file) {
+    await removeThumbnails(file);
+    return;
+  }
+  saveMediaIndex(file.filename);
+}
+
+function queueThumbnails(file) {
+  thumbnailQueue.push(file);
+  processThumbnailQueue();
+}
+
+async function processThumbnailQueue() {
+  if (thumbnailsRunning) return;
+  thumbnailsRunning = true;
+  while (thumbnailQueue.length > 0) {
+    await generateThumbnails(thumbnailQueue.shift());
+  }
+  thumbnailsRunning = false;
+}
+
+// Thumbnail URLs by size, the placeholder for videos without a poster frame, or null
+function formatThumbnails(file) {
+  if (file.thumbnailStatus === 'ready') {
+    return Object.fromEntries(Object.keys(THUMBNAIL_SIZES)
+      .map(size => [size, createSignedMediaUrl(`/api/media/${file.filename}/thumbnails/${size}`)]));
+  }
+  if (file.thumbnailStatus === 'placeholder') {
+    return Object.fromEntries(Object.keys(THUMBNAIL_SIZES).map(size => [size, VIDEO_PLACEHOLDER_URL]));
+  }
+  return null;
+}
+
+// Backfill uploads indexed before thumbnails existed
+[...mediaFiles.images, ...mediaFiles.videos]
+  .filter(file => !file.thumbnailStatus && !file.missing)
+  .forEach(queueThumbnails);
+
+// Resumable uploads
+//
+// Large clips are sent as a session: create it with the final size, PUT chunks at
+// the offset the server has received so far, and complete it with a SHA-256 of the
+// whole file. Partial data lives in uploads/partial/ and sessions in the store's
+// uploadSessions records, so an interrupted upload resumes after a restart too.
+
+const PARTIAL_UPLOADS_DIR = path.join(UPLOADS_DIR, 'partial');
+const RESUMABLE_UPLOAD_MAX_SIZE = parseInt(process.env.RESUMABLE_UPLOAD_MAX_BYTES) || 2 * 1024 * 1024 * 1024;
+const UPLOAD_SESSION_TTL = (parseInt(process.env.UPLOAD_SESSION_HOURS) || 24) * 3600000;
+
+const uploadSessions = new Map();
+const busyUploads = new Set(); // sessions with a chunk write or verification in progress
+
+fs.ensureDirSync(PARTIAL_UPLOADS_DIR);
+
+function saveUploadSessions(ids) {
+  try {
+    persistRecords('uploadSessions', uploadSessions, ids);
+  } catch (error) {
+    logger.error('Error saving upload sessions:', error);
+  }
+}
+
+function loadUploadSessions() {
+  try {
+    const data = store.readRecords('uploadSessions');
+    if (data.length > 0) {
+      for (const [, session] of data) {
+        // The partial file is the truth for how much arrived before the restart
+        const partPath = getPartialUploadPath(session.id);
+        session.received = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+        uploadSessions.set(session.id, session);
+      }
+      logger.info(`Loaded ${uploadSessions.size} upload sessions`);
+    }
+  } catch (error) {
+    logger.error('Error loading upload sessions:', error);
+  }
+}
+
+function getPartialUploadPath(uploadId) {
+  return path.join(PARTIAL_UPLOADS_DIR, `${uploadId}.part`);
+}
+
+// Media category for a mimetype, matching the multer file filter
+function getMediaCategory(mimetype) {
+  if (typeof mimetype !== 'string') return null;
+  if (mimetype.startsWith('image/')) return 'images';
+  if (mimetype.startsWith('video/')) return 'videos';
+  if (mimetype.startsWith('audio/')) return 'audio';
+  return null;
+}
+
+function formatUploadSession(session) {
+  return {
+    uploadId: session.id,
+    deviceId: session.deviceId,
+    originalName: session.originalName,
+    size: session.size,
+    offset: session.received,
+    mimetype: session.mimetype,
+    chunkSize: UPLOAD_CHUNK_MAX,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt
+  };
+}
+
+async function removeUploadSession(session) {
+  uploadSessions.delete(session.id);
+  saveUploadSessions(session.id);
+  try {
+    await fs.remove(getPartialUploadPath(session.id));
+  } catch (error) {
+    logger.error(`Error removing partial upload ${session.id}:`, error);
+  }
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Drop sessions that have not received data within the session lifetime
+function sweepUploadSessions() {
+  const now = new Date();
+  for (const session of Array.from(uploadSessions.values())) {
+    if (new Date(session.expiresAt) < now && !busyUploads.has(session.id)) {
+      logger.info(`Upload session ${session.id} for ${session.deviceId} expired at ${session.received}/${session.size} bytes`);
+      removeUploadSession(session);
+    }
+  }
+}
+
+loadUploadSessions();
+setInterval(sweepUploadSessions, 10 * 60 * 1000); // Check every 10 minutes
+
+// Storage retention and quotas
+//
+// A cleanup job deletes media older than its retention period, then the oldest media
+// of devices over their quota, then the oldest media overall while the global quota
+// is exceeded. Retention is per eventType with a default for everything else.
+// Media pinned to an incident is never deleted automatically.
+
+const STORAGE_CLEANUP_INTERVAL = (parseInt(process.env.STORAGE_CLEANUP_INTERVAL_MINUTES) || 60) * 60000;
+const STORAGE_CLEANUP_HISTORY = 20;
+
+let storagePolicy = {
+  retention: {
+    defaultDays: parseOptionalNumber(process.env.MEDIA_RETENTION_DAYS, null),
+    eventTypes: {
+      emergency: parseOptionalNumber(process.env.MEDIA_EVENT_RETENTION_DAYS, null),
+      fatigue: parseOptionalNumber(process.env.MEDIA_EVENT_RETENTION_DAYS, null)
+    }
+  },
+  quotas: {
+    globalBytes: parseOptionalNumber(process.env.STORAGE_QUOTA_BYTES, null),
+    deviceBytes: parseOptionalNumber(process.env.DEVICE_STORAGE_QUOTA_BYTES, null),
+    devices: {}
+  }
+};
+const storageCleanups = [];
+
+// A positive number from the environment; 0 or 'none' means no limit
+function parseOptionalNumber(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = parseFloat(value);
+  return number > 0 ? number : null;
+}
+
+function saveStoragePolicy() {
+  try {
+    store.writeDocument('storagePolicy', storagePolicy);
+  } catch (error) {
+    logger.error('Error saving storage policy:', error);
+  }
+}
+
+function loadStoragePolicy() {
+  try {
+    const data = store.readDocument('storagePolicy');
+    if (data) {
+      storagePolicy = data;
+      logger.info('Loaded storage policy');
+    }
+  } catch (error) {
+    logger.error('Error loading storage policy:', error);
+  }
+}
+
+// Returns an error message, or null; limits are positive numbers or null for none
+function validateStoragePolicy({ retention, quotas }) {
+  const isLimit = value => value === null || (typeof value === 'number' && value > 0);
+  
+  if (!retention || !isLimit(retention.defaultDays)) {
+    return 'retention.defaultDays must be a positive number of days or null';
+  }
+  if (!retention.eventTypes || typeof retention.eventTypes !== 'object' ||
+      !Object.values(retention.eventTypes).every(isLimit)) {
+    return 'retention.eventTypes must map event types to a positive number of days or null';
+  }
+  if (!quotas || !isLimit(quotas.globalBytes) || !isLimit(quotas.deviceBytes)) {
+    return 'quotas.globalBytes and quotas.deviceBytes must be a positive number of bytes or null';
+  }
+  if (!quotas.devices || typeof quotas.devices !== 'object' || !Object.values(quotas.devices).every(isLimit)) {
+    return 'quotas.devices must map device IDs to a positive number of bytes or null';
+  }
+  return null;
+}
+
+function getRetentionDays(file) {
+  const { eventTypes, defaultDays } = storagePolicy.retention;
+  return Object.prototype.hasOwnProperty.call(eventTypes, file.eventType) ? eventTypes[file.eventType] : defaultDays;
+}
+
+function getDeviceQuota(deviceId) {
+  const { devices, deviceBytes } = storagePolicy.quotas;
+  return Object.prototype.hasOwnProperty.call(devices, deviceId) ? devices[deviceId] : deviceBytes;
+}
+
+// Usage of stored (not missing) media, in files and bytes, per type
+function summarizeMediaUsage(filter = () => true) {
+  const usage = { files: 0, bytes: 0, byType: {} };
+  for (const category of ['images', 'videos', 'audio']) {
+    const files = mediaFiles[category].filter(file => !file.missing && filter(file));
+    const bytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+    usage.byType[category] = { files: files.length, bytes };
+    usage.files += files.length;
+    usage.bytes += bytes;
+  }
+  return usage;
+}
+
+// Picks every file to remove first, then deletes them with a single index write
+async function runStorageCleanup(trigger = 'schedule') {
+  const now = new Date();
+  const removed = [];
+  const removedNames = new Set();
+  const remove = (file, reason) => {
+    removedNames.add(file.filename);
+    removed.push({ filename: file.filename, deviceId: file.deviceId, eventType: file.eventType, size: file.size, uploadedAt: file.uploadedAt, reason });
+    logger.info(`Storage cleanup removed ${file.filename} (${file.deviceId}, ${file.eventType}, ${file.size} bytes): ${reason}`);
+  };
+  const allFiles = () => [...mediaFiles.images, ...mediaFiles.videos, ...mediaFiles.audio]
+    .filter(file => !removedNames.has(file.filename));
+  // Under quota pressure soft-deleted media goes first
+  const oldestFirst = (a, b) => Boolean(b.deletedAt) - Boolean(a.deletedAt) ||
+    new Date(a.uploadedAt) - new Date(b.uploadedAt);
+  
+  // Soft-deleted media whose restore window has ended
+  for (const file of allFiles()) {
+    if (file.deletedAt && new Date(file.purgeAt) <= now) {
+      remove(file, `deleted by ${file.deletedBy}, restore window ended`);
+    }
+  }
+  
+  // Retention
+  for (const file of allFiles()) {
+    const days = getRetentionDays(file);
+    if (!file.pinned && !file.deletedAt && days !== null && now - new Date(file.uploadedAt) > days * 24 * 3600000) {
+      remove(file, `older than ${days} days`);
+    }
+  }
+  
+  // Per-device quotas, oldest first
+  const byDevice = new Map();
+  for (const file of allFiles().filter(file => !file.missing)) {
+    byDevice.set(file.deviceId, [...(byDevice.get(file.deviceId) || []), file]);
+  }
+  for (const [deviceId, files] of byDevice.entries()) {
+    const quota = getDeviceQuota(deviceId);
+    let used = files.reduce((sum, file) => sum + (file.size || 0), 0);
+    if (quota === null || used <= quota) continue;
+    
+    for (const file of files.filter(file => !file.pinned).sort(oldestFirst)) {
+      if (used <= quota) break;
+      remove(file, `device quota of ${quota} bytes exceeded`);
+      used -= file.size || 0;
+    }
+    if (used > quota) {
+      logger.warn(`Device ${deviceId} is over its storage quota with pinned media (${used}/${quota} bytes)`);
+    }
+  }
+  
+  // Global quota, oldest first
+  const globalQuota = storagePolicy.quotas.globalBytes;
+  let used = summarizeMediaUsage(file => !removedNames.has(file.filename)).bytes;
+  if (globalQuota !== null && used > globalQuota) {
+    for (const file of allFiles().filter(file => !file.missing && !file.pinned).sort(oldestFirst)) {
+      if (used <= globalQuota) break;
+      remove(file, `global quota of ${globalQuota} bytes exceeded`);
+      used -= file.size || 0;
+    }
+    if (used > globalQuota) {
+      logger.warn(`Storage is over the global quota with pinned media (${used}/${globalQuota} bytes)`);
+    }
+  }
+  
+  const report = {
+    ranAt: now,
+    trigger,
+    removed,
+    freedBytes: removed.reduce((sum, file) => sum + (file.size || 0), 0)
+  };
+  await removeMediaFiles(removedNames);
+  storageCleanups.unshift(report);
+  storageCleanups.splice(STORAGE_CLEANUP_HISTORY);
+  logger.info(`Storage cleanup (${trigger}) removed ${removed.length} files, ${report.freedBytes} bytes`);
+  return report;
+}
+
+loadStoragePolicy();
+runStorageCleanup('startup');
+setInterval(() => runStorageCleanup(), STORAGE_CLEANUP_INTERVAL);
+
+// Alerts
+//
+// Every alert raised through recordAlert (JT808 alarms, speed rules) becomes an
+// alert record that operators acknowledge, assign, annotate and resolve. Critical
+// alerts still open after ALERT_ESCALATION_MINUTES escalate, and escalate again
+// each further period until someone acknowledges them or they reach
+// ALERT_ESCALATION_MAX_LEVEL.
+
+const ALERTS_LIMIT = 5000; // oldest resolved alerts are dropped beyond this
+const ALERT_ESCALATION_AFTER = (parseFloat(process.env.ALERT_ESCALATION_MINUTES) || 5) * 60000;
+const ALERT_ESCALATION_MAX_LEVEL = parseInt(process.env.ALERT_ESCALATION_MAX_LEVEL) || 3;
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+const ALERT_SEVERITIES = ['critical', 'warning', 'info'];
+
+// Alarm names by severity; anything not listed is a warning
+const CRITICAL_ALARMS = ['emergency', 'fatigue', 'collision', 'rollover', 'vehicle_stolen', 'illegal_ignition', 'illegal_displacement', 'illegal_door_open'];
+const INFO_ALARMS = ['display_fault', 'tts_fault', 'ic_card_fault', 'camera_fault', 'gnss_antenna_disconnected', 'gnss_antenna_short'];
+
+const alerts = new Map();
+
+function saveAlerts(ids) {
+  try {
+    persistRecords('alerts', alerts, ids);
+  } catch (error) {
+    logger.error('Error saving alerts:', error);
+  }
+}
+
+function loadAlerts() {
+  try {
+    const data = store.readRecords('alerts');
+    if (data.length > 0) {
+      for (const [, alert] of data) {
+        alerts.set(alert.id, alert);
+      }
+      logger.info(`Loaded ${alerts.size} alerts`);
+    }
+  } catch (error) {
+    logger.error('Error loading alerts:', error);
+  }
+}
+
+function getAlertSeverity(details) {
+  const names = [details.alertType, ...(details.alarms || []).map(alarm => alarm.name)];
+  if (names.some(name => CRITICAL_ALARMS.includes(name))) return 'critical';
+  if (names.every(name => INFO_ALARMS.includes(name))) return 'info';
+  return 'warning';
+}
+
+function canAccessAlert(operator, alert) {
+  return canAccessDevice(operator, alert.deviceId);
+}
+
+function recordAlertHistory(alert, action, by, detail = null) {
+  const at = new Date();
+  alert.history.push({ action, by, at, ...(detail ? { detail } : {}) });
+  alert.updatedAt = at;
+}
+
+// Persist an alert change and tell dashboards and webhooks about it
+function publishAlert(alert, event = 'alert_updated') {
+  saveAlerts(alert.id);
+  emitToDashboards(alert.deviceId, event, alert);
+}
+
+// Create the alert record for an alert raised through recordAlert
+function openAlert(deviceId, details) {
+  const alert = {
+    id: details.id || uuidv4(),
+    deviceId,
+    type: details.alertType || 'alert',
+    severity: getAlertSeverity(details),
+    status: 'open',
+    description: details.description || null,
+    source: details.source || 'device',
+    location: details.location || null,
+    details,
+    raisedAt: details.timestamp || new Date(),
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    assignee: null,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    resolvedAt: null,
+    resolvedBy: null,
+    resolution: null,
+    escalationLevel: 0,
+    escalatedAt: null,
+    notes: [],
+    history: []
+  };
+  recordAlertHistory(alert, 'opened', alert.source);
+  alerts.set(alert.id, alert);
+  
+  // Keep the store bounded, dropping the oldest resolved alerts first
+  if (alerts.size > ALERTS_LIMIT) {
+    const resolved = Array.from(alerts.values()).find(existing => existing.status === 'resolved');
+    const dropped = (resolved || alerts.values().next().value).id;
+    alerts.delete(dropped);
+    saveAlerts(dropped);
+  }
+  
+  publishAlert(alert);
+  return alert;
+}
+
+function escalateAlerts() {
+  const now = Date.now();
+  for (const alert of alerts.values()) {
+    if (alert.status !== 'open' || alert.severity !== 'critical') continue;
+    if (alert.escalationLevel >= ALERT_ESCALATION_MAX_LEVEL) continue;
+    
+    const since = new Date(alert.escalatedAt || alert.createdAt).getTime();
+    if (now - since < ALERT_ESCALATION_AFTER) continue;
+    
+    alert.escalationLevel += 1;
+    alert.escalatedAt = new Date(now);
+    recordAlertHistory(alert, 'escalated', 'system', `level ${alert.escalationLevel}`);
+    logger.warn(`Alert ${alert.id} (${alert.type}, ${alert.deviceId}) unacknowledged, escalated to level ${alert.escalationLevel}`);
+    publishAlert(alert, 'alert_escalated');
+  }
+}
+
+loadAlerts();
+setInterval(escalateAlerts, 30000); // Check every 30 seconds
+
+// Events
+//
+// Device events (socket and HTTP), alerts and geofence transitions share one event
+// model and are appended to one JSON-lines file per UTC day under EVENTS_DIR. Appends
+// are buffered for STORAGE_FLUSH_MS, so a burst costs one write per day file, and the
+// number of events in each file is kept in the store. Queries stream the day files
+// newest first and stop once a page is full; the cursor is the position of the last
+// event returned.
+
+const EVENTS_DIR = process.env.EVENTS_DIR || path.join(STORAGE_DIR, 'events');
+const EVENT_RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS) || 90;
+const EVENT_CATEGORIES = ['device', 'alert', 'geofence'];
+
+// day -> lines waiting to be appended
+const pendingEventLines = new Map();
+let eventFlushTimer = null;
+// Appends, counts and pruning run one at a time, in order
+let eventWrites = Promise.resolve();
+// day -> events in that day's file
+const eventDayCounts = new Map();
+
+if (!process.env.EVENTS_DIR) {
+  moveLegacyDirectory('events', EVENTS_DIR);
+}
+fs.ensureDirSync(EVENTS_DIR);
+
+function eventDayFile(day) {
+  return path.join(EVENTS_DIR, `${day}.jsonl`);
+}
+
+function queueEventWrite(write) {
+  eventWrites = eventWrites.then(write).catch(error => {
+    logger.error(`Error writing events: ${error.message}`, error);
+  });
+  return eventWrites;
+}
+
+// Append buffered events; resolves once everything recorded so far is on disk
+function flushEvents() {
+  clearTimeout(eventFlushTimer);
+  eventFlushTimer = null;
+  const batches = Array.from(pendingEventLines.entries());
+  pendingEventLines.clear();
+  
+  return queueEventWrite(async () => {
+    for (const [day, lines] of batches) {
+      await fs.appendFile(eventDayFile(day), lines.join(''));
+      eventDayCounts.set(day, (eventDayCounts.get(day) || 0) + lines.length);
+      store.writeRecords('eventCounts', [[day, eventDayCounts.get(day)]]);
+    }
+  });
+}
+
+function getStoredEventCount() {
+  let count = 0;
+  eventDayCounts.forEach(dayCount => { count += dayCount; });
+  pendingEventLines.forEach(lines => { count += lines.length; });
+  return count;
+}
+
+function readEventLines(file) {
+  return readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+}
+
+// Normalize an event from any source and queue it for its day file
+function recordEvent({ deviceId, type, category = 'device', severity, source, location, description, payload, timestamp }) {
+  const receivedAt = new Date();
+  const reportedAt = timestamp ? new Date(timestamp) : receivedAt;
+  const event = {
+    id: uuidv4(),
+    deviceId,
+    organizationId: getDeviceOrganizationId(deviceId),
+    type: String(type || 'unknown'),
+    category,
+    severity: ALERT_SEVERITIES.includes(severity) ? severity : 'info',
+    source,
+    location: location && isValidCoordinate({ latitude: parseFloat(location.latitude), longitude: parseFloat(location.longitude) }) ? {
+      latitude: parseFloat(location.latitude),
+      longitude: parseFloat(location.longitude),
+      speed: location.speed !== undefined ? parseFloat(location.speed) || 0 : undefined
+    } : null,
+    description: description || null,
+    payload: payload === undefined ? null : payload,
+    timestamp: isNaN(reportedAt.getTime()) ? receivedAt : reportedAt,
+    receivedAt
+  };
+  
+  const day = moment.utc(event.timestamp).format('YYYY-MM-DD');
+  if (!pendingEventLines.has(day)) {
+    pendingEventLines.set(day, []);
+  }
+  pendingEventLines.get(day).push(JSON.stringify(event) + '\n');
+  if (!eventFlushTimer) {
+    eventFlushTimer = setTimeout(flushEvents, STORAGE_FLUSH_MS);
+  }
+  return event;
+}
+
+// Device-reported events are critical when named like a critical alarm
+function getDeviceEventSeverity(type, requested) {
+  if (ALERT_SEVERITIES.includes(requested)) return requested;
+  return CRITICAL_ALARMS.includes(type) ? 'critical' : 'info';
+}
+
+// Cursors are opaque to clients: the timestamp and ID of the last event on a page
+function encodeEventCursor(event) {
+  return Buffer.from(JSON.stringify([new Date(event.timestamp).getTime(), event.id])).toString('base64url');
+}
+
+function decodeEventCursor(cursor) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Number.isFinite(time) && typeof id === 'string' ? { time, id } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Newest first, ties broken by ID so pages never overlap
+function compareEventsDesc(a, b) {
+  return b.time - a.time || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+async function queryEvents({ filter, from, to, cursor, limit }) {
+  await flushEvents();
+  const fromDay = from && moment.utc(from).format('YYYY-MM-DD');
+  const toDay = to && moment.utc(to).format('YYYY-MM-DD');
+  const days = (await fs.readdir(EVENTS_DIR))
+    .filter(file => file.endsWith('.jsonl'))
+    .map(file => file.slice(0, -'.jsonl'.length))
+    .filter(day => (!fromDay || day >= fromDay) && (!toDay || day <= toDay))
+    .sort()
+    .reverse();
+  
+  const events = [];
+  for (const day of days) {
+    const file = eventDayFile(day);
+    const dayEvents = [];
+    for await (const line of readEventLines(file)) {
+      if (!line) continue;
+      try {
+        const event = JSON.parse(line);
+        const time = new Date(event.timestamp).getTime();
+        if ((from && time < from.getTime()) || (to && time > to.getTime()) || !filter(event)) continue;
+        if (cursor && compareEventsDesc(cursor, { time, id: event.id }) >= 0) continue;
+        dayEvents.push({ time, id: event.id, event });
+      } catch (error) {
+        logger.warn(`Skipping corrupt event line in ${file}`);
+      }
+    }
+    dayEvents.sort(compareEventsDesc);
+    events.push(...dayEvents.map(entry => entry.event));
+    if (events.length > limit) break;
+  }
+  
+  const page = events.slice(0, limit);
+  return {
+    events: page,
+    nextCursor: events.length > limit ? encodeEventCursor(page[page.length - 1]) : null
+  };
+}
+
+// Build a queryEvents request from ?deviceId=&type=&category=&severity=&from=&to=&cursor=&limit=
+function parseEventQuery(req, query = req.query) {
+  const list = value => (value ? String(value).split(',') : null);
+  const deviceIds = list(query.deviceId);
+  const types = list(query.type);
+  const categories = list(query.category);
+  const severities = list(query.severity);
+  const from = parseQueryDate(query.from, null);
+  const to = parseQueryDate(query.to, null);
+  const cursor = query.cursor ? decodeEventCursor(query.cursor) : null;
+  
+  if ((from === null && query.from) || (to === null && query.to)) {
+    return { error: 'Invalid from/to date' };
+  }
+  if (query.cursor && !cursor) {
+    return { error: 'Invalid cursor' };
+  }
+  if (categories && !categories.every(category => EVENT_CATEGORIES.includes(category))) {
+    return { error: `category must be among ${EVENT_CATEGORIES.join(', ')}` };
+  }
+  
+  return {
+    from,
+    to,
+    cursor,
+    limit: Math.min(parseInt(query.limit) || 100, 1000),
+    filter: event => canAccessDevice(req.operator, event.deviceId) &&
+      (!deviceIds || deviceIds.includes(event.deviceId)) &&
+      (!types || types.includes(event.type)) &&
+      (!categories || categories.includes(event.category)) &&
+      (!severities || severities.includes(event.severity))
+  };
+}
+
+// Delete event day files older than the retention window
+function pruneEvents() {
+  return queueEventWrite(async () => {
+    const cutoff = moment.utc().subtract(EVENT_RETENTION_DAYS, 'days').format('YYYY-MM-DD');
+    const removed = [];
+    for (const file of await fs.readdir(EVENTS_DIR)) {
+      const day = file.slice(0, -'.jsonl'.length);
+      if (file.endsWith('.jsonl') && day < cutoff) {
+        await fs.remove(path.join(EVENTS_DIR, file));
+        eventDayCounts.delete(day);
+        removed.push(day);
+      }
+    }
+    store.deleteRecords('eventCounts', removed);
+    if (removed.length > 0) {
+      logger.info(`Pruned ${removed.length} event files older than ${EVENT_RETENTION_DAYS} days`);
+    }
+  });
+}
+
+// Load the per-day counts; day files written before counts were kept are counted once
+function loadEventCounts() {
+  return queueEventWrite(async () => {
+    const days = (await fs.readdir(EVENTS_DIR))
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => file.slice(0, -'.jsonl'.length));
+    const stale = [];
+    for (const [day, count] of store.readRecords('eventCounts')) {
+      if (days.includes(day)) {
+        eventDayCounts.set(day, count);
+      } else {
+        stale.push(day);
+      }
+    }
+    store.deleteRecords('eventCounts', stale);
+    
+    for (const day of days.filter(day => !eventDayCounts.has(day))) {
+      let count = 0;
+      for await (const line of readEventLines(eventDayFile(day))) {
+        if (line) count++;
+      }
+      eventDayCounts.set(day, count);
+      store.writeRecords('eventCounts', [[day, count]]);
+    }
+    logger.info(`Event store holds ${getStoredEventCount()} events`);
+  });
+}
+
+loadEventCounts();
+pruneEvents();
+setInterval(pruneEvents, 24 * 60 * 60 * 1000);
+
+// Telemetry batches
+//
+// Devices coming back from a coverage gap replay what they buffered in one request:
+// locations, events and heartbeats, each with the time it happened. Items with a
+// client ID are accepted once; the last TELEMETRY_DEDUP_LIMIT IDs of each device are
+// kept in the store. Items older than TELEMETRY_STALE_SECONDS are history only and
+// raise nothing live.
+
+const TELEMETRY_BATCH_MAX_ITEMS = parseInt(process.env.TELEMETRY_BATCH_MAX_ITEMS) || 1000;
+const TELEMETRY_STALE_SECONDS = parseInt(process.env.TELEMETRY_STALE_SECONDS) || 300;
+const TELEMETRY_DEDUP_LIMIT = 10000;
+const TELEMETRY_MAX_CLOCK_SKEW = 5 * 60 * 1000; // Timestamps further ahead are rejected
+
+// deviceId -> client IDs already accepted, oldest first
+const telemetryIds = new Map();
+
+function saveTelemetryIds(deviceId) {
+  try {
+    store.writeRecords('telemetryIds', [[deviceId, Array.from(telemetryIds.get(deviceId) || [])]]);
+  } catch (error) {
+    logger.error('Error saving telemetry IDs:', error);
+  }
+}
+
+function loadTelemetryIds() {
+  try {
+    for (const [deviceId, ids] of store.readRecords('telemetryIds')) {
+      telemetryIds.set(deviceId, new Set(ids));
+    }
+  } catch (error) {
+    logger.error('Error loading telemetry IDs:', error);
+  }
+}
+
+// Remember a client ID; false when the device already sent it. Items without one
+// can't be deduplicated and are always accepted.
+function claimTelemetryId(deviceId, kind, id) {
+  if (id === undefined || id === null || id === '') {
+    return true;
+  }
+  if (!telemetryIds.has(deviceId)) {
+    telemetryIds.set(deviceId, new Set());
+  }
+  const ids = telemetryIds.get(deviceId);
+  const key = `${kind}:${id}`;
+  if (ids.has(key)) {
+    return false;
+  }
+  ids.add(key);
+  if (ids.size > TELEMETRY_DEDUP_LIMIT) {
+    ids.delete(ids.values().next().value);
+  }
+  return true;
+}
+
+// Batch items must say when they happened; arrival time would be wrong for all of them
+function parseTelemetryTime(item) {
+  if (!item || item.timestamp === undefined || item.timestamp === null) {
+    return { error: 'timestamp is required' };
+  }
+  const timestamp = parseQueryDate(String(item.timestamp), null);
+  if (!timestamp) {
+    return { error: 'Invalid timestamp' };
+  }
+  if (timestamp.getTime() - Date.now() > TELEMETRY_MAX_CLOCK_SKEW) {
+    return { error: 'timestamp is in the future' };
+  }
+  return { timestamp };
+}
+
+loadTelemetryIds();
+
+// Load dashcam data on startup
+loadDashcamData();
+
+// Heartbeat monitoring
+setInterval(() => {
+  const now = new Date();
+  const offlineDevices = [];
+  
+  for (const [deviceId, dashcam] of dashcamData.entries()) {
+    if (dashcam.status === 'online' && dashcam.lastSeen) {
+      const timeSinceLastSeen = now - new Date(dashcam.lastSeen);
+      if (timeSinceLastSeen > HEARTBEAT_TIMEOUT) {
+        dashcam.status = 'offline';
+        dashcam.socketId = null;
+        offlineDevices.push(deviceId);
+        logger.warn(`Device ${deviceId} marked offline due to heartbeat timeout`);
+      }
+    }
+  }
+  
+  if (offlineDevices.length > 0) {
+    offlineDevices.forEach(deviceId => saveDashcamData(deviceId));
+    
+    // Each organization hears about its own devices; platform operators about all of them
+    const byOrganization = new Map();
+    offlineDevices.forEach(deviceId => {
+      const organizationId = getDeviceOrganizationId(deviceId);
+      byOrganization.set(organizationId, [...(byOrganization.get(organizationId) || []), deviceId]);
+    });
+    byOrganization.forEach((deviceIds, organizationId) => {
+      io.to(dashboardRoom(organizationId)).emit('devices_offline', { deviceIds, timestamp: now });
+      publishWebhookEvent(organizationId, 'devices_offline', { deviceIds, timestamp: now });
+    });
+    io.to(dashboardRoom(null)).emit('devices_offline', { deviceIds: offlineDevices, timestamp: now });
+  }
+}, 30000); // Check every 30 seconds
+
+// Socket.IO connection handling
+io.on('connection', (socket) => {
+  logger.info(`[DEBUG] Client connected: ${socket.id}`);
+
+  // Handle command sending from UI
+  socket.on('send_command', (data) => {
+    const { command, deviceId: targetDeviceId } = data;
+    const deviceId = targetDeviceId || '13f15b0094dcc44a'; // Default device ID
+    
+    logger.info(`[DEBUG] Socket.IO command received: ${command} for device ${deviceId}`);
+    
+    if (!socketCan(socket, 'command')) {
+      logger.warn(`[DEBUG] Socket.IO command ${command} rejected: socket ${socket.id} lacks command permission`);
+      socket.emit('command_response', {
+        success: false,
+        command,
+        message: 'Not authorized to send commands'
+      });
+      return;
+    }
+    
+    // Forward command to device via HTTP
+    const dashcam = dashcamData.get(deviceId);
+    if (!dashcam || !canAccessDevice(getSocketOperator(socket), deviceId)) {
+      socket.emit('command_response', {
+        success: false,
+        message: 'Device not found'
+      });
+      return;
+    }
+    
+    const validation = validateCommand(dashcam, command, data.parameters);
+    if (validation.error) {
+      logger.warn(`[DEBUG] Socket.IO command rejected for device ${deviceId}: ${validation.error}`);
+      socket.emit('command_response', {
+        success: false,
+        command,
+        message: validation.error
+      });
+      return;
+    }
+    
+    const { command: commandData, duplicate } = queueCommand(deviceId, dashcam, {
+      ...data,
+      ...validation,
+      requestedBy: getSocketOperator(socket).username
+    });
+    if (duplicate) {
+      logger.info(`[DEBUG] Socket.IO duplicate command ${command} ignored for device ${deviceId}`);
+      socket.emit('command_response', {
+        success: true,
+        message: `Command '${command}' already queued (duplicate ignored)`,
+        commandId: commandData.id
+      });
+      return;
+    }
+    
+    socket.emit('command_response', {
+      success: true,
+      message: `Command '${commandData.command}' queued for device`,
+      commandId: commandData.id
+    });
+  });
+
+  // Handle dashcam registration
+  socket.on('dashcam_register', (data) => {
+    const { deviceId, deviceInfo, token } = data;
+    if (!authenticateDeviceSocket(socket, deviceId, token)) {
+      return;
+    }
+    
+    // Check if device already exists
+    const existingDashcam = dashcamData.get(deviceId);
+    if (existingDashcam) {
+      // Update existing device
+      existingDashcam.socketId = socket.id;
+      existingDashcam.lastSeen = new Date();
+      existingDashcam.status = 'online';
+      existingDashcam.deviceInfo = { ...existingDashcam.deviceInfo, ...deviceInfo };
+      if (deviceInfo && Array.isArray(deviceInfo.capabilities)) {
+        existingDashcam.capabilities = deviceInfo.capabilities;
+      }
+      logger.info(`Device reconnected: ${deviceId}`);
+    } else {
+      // Register new device
+    dashcamData.set(deviceId, {
+      ...deviceInfo,
+      socketId: socket.id,
+      lastSeen: new Date(),
+      status: 'online',
+      location: null,
+      events: [],
+        jt808Enabled: false,
+        registeredAt: new Date(),
+        organizationId: DEFAULT_ORGANIZATION_ID,
+        tags: []
+    });
+      logger.info(`New device registered: ${deviceId}`);
+    }
+    
+    emitToDashboards(deviceId, 'dashcam_status', {
+      deviceId,
+      status: 'online',
+      timestamp: new Date()
+    });
+    
+    saveDashcamData(deviceId);
+    
+    // Push anything that was queued while the device was away
+    dispatchCommands(deviceId);
+  });
+
+  // Handle dashcam events
+  socket.on('dashcam_event', (data) => {
+    const { deviceId, eventType, eventData } = data;
+    const dashcam = isDeviceSocket(socket, deviceId) && dashcamData.get(deviceId);
+    
+    if (dashcam) {
+      dashcam.lastSeen = new Date();
+      dashcam.events.push({
+        type: eventType,
+        data: eventData,
+        timestamp: new Date()
+      });
+      saveDashcamData(deviceId);
+      
+      recordEvent({
+        deviceId,
+        type: eventType,
+        severity: getDeviceEventSeverity(eventType, eventData && eventData.severity),
+        source: 'socket',
+        location: eventData && eventData.location,
+        payload: eventData
+      });
+      
+      logger.info(`Dashcam event: ${deviceId} - ${eventType}`);
+      emitToDashboards(deviceId, 'dashcam_event', {
+        deviceId,
+        eventType,
+        eventData,
+        timestamp: new Date()
+      });
+    }
+  });
+
+  // Handle location updates
+  socket.on('location_update', (data) => {
+    const { deviceId, location } = data;
+    const dashcam = isDeviceSocket(socket, deviceId) && dashcamData.get(deviceId);
+    
+    if (dashcam) {
+      dashcam.location = location;
+      dashcam.lastSeen = new Date();
+      processLocation(deviceId, location, 'socket location update');
+      saveDashcamData(deviceId);
+      
+      emitToDashboards(deviceId, 'location_update', {
+        deviceId,
+        location,
+        timestamp: new Date()
+      });
+    }
+  });
+
+  // Handle command responses
+  socket.on('command_response', (data) => {
+    const { commandId, deviceId, response, success } = data;
+    if (!isDeviceSocket(socket, deviceId)) {
+      return;
+    }
+    
+    logger.info(`Command response: ${commandId} - ${success ? 'SUCCESS' : 'FAILED'}`);
+    completeCommand(deviceId, commandId, null, success, typeof response === 'string' ? response : null);
+    emitToDashboards(deviceId, 'command_response', {
+      commandId,
+      deviceId,
+      response,
+      success,
+      timestamp: new Date()
+    });
+  });
+
+  // Handle heartbeat
+  socket.on('heartbeat', (data) => {
+    const { deviceId } = data;
+    const dashcam = isDeviceSocket(socket, deviceId) && dashcamData.get(deviceId);
+    
+    if (dashcam) {
+      dashcam.lastSeen = new Date();
+      saveDashcamData(deviceId);
+      logger.debug(`Heartbeat received from: ${deviceId}`);
+    }
+  });
+
+  // Handle device reconnection
+  socket.on('device_reconnect', (data) => {
+    const { deviceId, deviceInfo, token } = data;
+    const dashcam = dashcamData.get(deviceId);
+    
+    if (dashcam && authenticateDeviceSocket(socket, deviceId, token)) {
+      dashcam.socketId = socket.id;
+      dashcam.lastSeen = new Date();
+      dashcam.status = 'online';
+      if (deviceInfo) {
+        dashcam.deviceInfo = { ...dashcam.deviceInfo, ...deviceInfo };
+      }
+      
+      logger.info(`Device reconnected: ${deviceId}`);
+      emitToDashboards(deviceId, 'dashcam_status', {
+        deviceId,
+        status: 'online',
+        timestamp: new Date()
+      });
+      
+      saveDashcamData(deviceId);
+      dispatchCommands(deviceId);
+    }
+  });
+
+  // Handle disconnection
+  socket.on('disconnect', () => {
+    logger.info(`[DEBUG] Client disconnected: ${socket.id}`);
+    
+    // Mark dashcam as offline
+    for (const [deviceId, dashcam] of dashcamData.entries()) {
+      if (dashcam.socketId === socket.id) {
+        dashcam.status = 'offline';
+        dashcam.socketId = null;
+        
+        emitToDashboards(deviceId, 'dashcam_status', {
+          deviceId,
+          status: 'offline',
+          timestamp: new Date()
+        });
+        
+        logger.info(`Device ${deviceId} disconnected`);
+        saveDashcamData(deviceId);
+        break;
+      }
+    }
+  });
+
+  // Relay 'get_location' command from dashboard to device
+  socket.on('get_location', (data) => {
+    const { deviceId } = data;
+    if (!socketCan(socket, 'command')) {
+      socket.emit('location_error', { error: 'Not authorized to request locations', deviceId });
+      return;
+    }
+    
+    const dashcam = canAccessDevice(getSocketOperator(socket), deviceId) && dashcamData.get(deviceId);
+    if (dashcam && dashcam.socketId) {
+      io.to(dashcam.socketId).emit('get_location_request', { requestorSocketId: socket.id });
+      logger.info(`Relayed 'get_location' command to device: ${deviceId}`);
+    } else {
+      socket.emit('location_error', { error: 'Device not connected', deviceId });
+    }
+  });
+
+  // Device sends location in response to 'get_location_request'
+  socket.on('location_response', (data) => {
+    const { deviceId, location, requestorSocketId } = data;
+    if (!isDeviceSocket(socket, deviceId)) {
+      return;
+    }
+    if (requestorSocketId) {
+      io.to(requestorSocketId).emit('location_response', { deviceId, location });
+      logger.info(`Forwarded location from device ${deviceId} to dashboard`);
+    } else {
+      // Fallback: broadcast to all dashboards (optional)
+      emitToDashboards(deviceId, 'location_response', { deviceId, location });
+    }
+  });
+});
+
+// API Routes
+
+// Health check
+app.get('/api/status', (req, res) => {
+  res.json({
+    status: 'online',
+    timestamp: new Date(),
+    uptime: process.uptime(),
+    version: '1.0.0',
+    connectedDevices: dashcamData.size,
+    totalEvents: getStoredEventCount()
+  });
+});
+
+// Get all dashcams
+app.get('/api/dashcams', requirePermission('view'), (req, res) => {
+  logger.info('[DEBUG] GET /api/dashcams called');
+  const { organizationId, groupId, tag } = req.query;
+  const group = groupId ? groups.get(groupId) : null;
+  
+  const dashcams = Array.from(dashcamData.entries())
+    .filter(([deviceId, data]) => canAccessDevice(req.operator, deviceId) &&
+      (!organizationId || data.organizationId === organizationId) &&
+      (!groupId || (group && group.deviceIds.includes(deviceId))) &&
+      (!tag || (data.tags || []).includes(tag)))
+    .map(([deviceId, data]) => ({
+      deviceId,
+      status: data.status,
+      lastSeen: data.lastSeen,
+      location: data.location,
+      jt808Enabled: data.jt808Enabled || false,
+      model: data.model || 'Unknown',
+      version: data.version || 'Unknown',
+      organizationId: data.organizationId,
+      tags: data.tags || []
+    }));
+  logger.info(`[DEBUG] Returning ${dashcams.length} dashcams`);
+  res.json(dashcams);
+});
+
+// Get specific dashcam
+app.get('/api/dashcams/:deviceId', requirePermission('view'), (req, res) => {
+  const { deviceId } = req.params;
+  const dashcam = dashcamData.get(deviceId);
+  
+  if (!dashcam) {
+    logger.warn('[DEBUG] 404: Dashcam not found for deviceId ' + deviceId);
+    return res.status(404).json({ error: 'Dashcam not found' });
+  }
+  
+  // Never expose the token hash or the JT808 auth code
+  const { credentials, ...details } = dashcam;
+  const jt808 = details.jt808 ? { ...details.jt808, authCode: undefined } : details.jt808;
+  res.json({
+    deviceId,
+    ...details,
+    jt808,
+    credentials: describeDeviceCredentials(dashcam),
+    jt808Data: dashcam.jt808Data || []
+  });
+});
+
+// Register dashcam
+app.post('/api/dashcams/register', (req, res) => {
+  const { provisioningCode, ...loggedBody } = req.body;
+  logger.info(`[DEBUG] POST /api/dashcams/register body: ${JSON.stringify(loggedBody)}`);
+  const { deviceId, model, version, capabilities } = req.body;
+  if (!deviceId) {
+    logger.warn('[DEBUG] 400: Device ID is required');
+    return res.status(400).json({ error: 'Device ID is required' });
+  }
+  
+  // A device holding credentials re-registers with its token; anything else needs a provisioning code.
+  // An organization's own provisioning code also places the device in that organization. Existing
+  // devices without credentials can't be claimed without a code; an admin issues them a token instead.
+  const existing = dashcamData.get(deviceId);
+  const hasCredentials = hasDeviceCredentials(existing);
+  if (hasCredentials && DEVICE_AUTH_REQUIRED && !verifyDeviceToken(existing, getRequestDeviceToken(req))) {
+    logger.warn(`Rejected re-registration without a valid token: ${deviceId}`);
+    return res.status(401).json({ error: 'Device is already registered; re-register with its token', deviceId });
+  }
+  const provisionedOrganization = findOrganizationByProvisioningCode(provisioningCode);
+  const provisioned = Boolean(provisionedOrganization) || secretsMatch(provisioningCode, DEVICE_PROVISIONING_CODE);
+  if (!hasCredentials && !provisioned && (DEVICE_PROVISIONING_CODE || (existing && DEVICE_AUTH_REQUIRED))) {
+    logger.warn(`Rejected registration with an invalid provisioning code: ${deviceId}`);
+    return res.status(403).json({ error: 'Invalid or missing provisioning code', deviceId });
+  }
+  
+  // Register a new device, or update the registration fields of an existing one and keep
+  // its commands, location, JT808 state and everything else
+  const dashcam = existing || {
+    deviceId,
+    registeredAt: new Date(),
+    location: null,
+    events: [],
+    jt808Enabled: false,
+    organizationId: DEFAULT_ORGANIZATION_ID,
+    tags: []
+  };
+  dashcam.model = model || dashcam.model || 'Unknown';
+  dashcam.version = version || dashcam.version || 'Unknown';
+  dashcam.status = 'online';
+  dashcam.lastSeen = new Date();
+  if (provisionedOrganization) {
+    dashcam.organizationId = provisionedOrganization.id;
+  }
+  if (Array.isArray(capabilities)) {
+    dashcam.capabilities = capabilities.map(String);
+  }
+  
+  // Keep the current token on re-registration; issue one otherwise
+  let token = null;
+  if (!hasCredentials) {
+    token = issueDeviceCredentials(dashcam);
+  }
+  
+  dashcamData.set(deviceId, dashcam);
+  saveDashcamData(deviceId); // Persist registration
+  
+  // Emit Socket.IO event for UI to see the device
+  emitToDashboards(deviceId, 'dashcam_status', {
+    deviceId,
+    status: 'online',
+    timestamp: new Date()
+  });
+  
+  logger.info(`Device registered via HTTP: ${deviceId} (${model} ${version})`);
+  const response = { success: true, message: 'Device registered successfully' };
+  if (token) {
+    response.token = token;
+  }
+  res.json(response);
+});
+
+// Rotate device credentials: issues a new token and disconnects the device's socket
+app.post('/api/admin/dashcams/:deviceId/credentials/rotate', requirePermission('manage'), (req, res) => {
+  const { deviceId } = req.params;
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Device not found', deviceId });
+  }
+  
+  const token = issueDeviceCredentials(dashcam);
+  disconnectDeviceSocket(deviceId, dashcam);
+  saveDashcamData(deviceId);
+  
+  logger.info(`Rotated credentials for device: ${deviceId}`);
+  res.json({ success: true, deviceId, token, credentials: describeDeviceCredentials(dashcam) });
+});
+
+// Revoke device credentials; the device must be provisioned again
+app.delete('/api/admin/dashcams/:deviceId/credentials', requirePermission('manage'), (req, res) => {
+  const { deviceId } = req.params;
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Device not found', deviceId });
+  }
+  
+  revokeDeviceCredentials(dashcam);
+  disconnectDeviceSocket(deviceId, dashcam);
+  saveDashcamData(deviceId);
+  
+  logger.info(`Revoked credentials for device: ${deviceId}`);
+  res.json({ success: true, deviceId, credentials: describeDeviceCredentials(dashcam) });
+});
+
+// Let a JT808 terminal register again: its auth code stops working and the next
+// 0x0100 for its phone number gets a new one
+app.post('/api/admin/dashcams/:deviceId/jt808/registration', requirePermission('manage'), (req, res) => {
+  const { deviceId } = req.params;
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Device not found', deviceId });
+  }
+  
+  dashcam.jt808 = { ...dashcam.jt808, authCode: null, registrationOpen: true };
+  const session = jt808Sessions.get(deviceId);
+  if (session) {
+    session.socket.destroy();
+  }
+  saveDashcamData(deviceId);
+  
+  logger.info(`Opened JT808 registration for device: ${deviceId}`);
+  res.json({ success: true, deviceId });
+});
+
+// Update dashcam status
+app.post('/api/dashcams/:deviceId/status', authenticateDevice, (req, res) => {
+  const { deviceId } = req.params;
+  const { status, batteryLevel, storageAvailable, jt808Enabled } = req.body;
+  
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Dashcam not found' });
+  }
+  
+  dashcam.status = status || dashcam.status;
+  dashcam.lastSeen = new Date();
+  dashcam.batteryLevel = batteryLevel;
+  dashcam.storageAvailable = storageAvailable;
+  dashcam.jt808Enabled = jt808Enabled || dashcam.jt808Enabled;
+  
+  // Emit Socket.IO event for UI to see status update
+  emitToDashboards(deviceId, 'device_status', {
+    deviceId,
+    status: dashcam.status,
+    batteryLevel: dashcam.batteryLevel,
+    storageAvailable: dashcam.storageAvailable,
+    jt808Enabled: dashcam.jt808Enabled,
+    lastSeen: dashcam.lastSeen
+  });
+  
+  logger.info(`Status update: ${deviceId} - ${status}`);
+  saveDashcamData(deviceId); // Persist status update
+  res.json({ success: true });
+});
+
+// Command catalog
+app.get('/api/commands/catalog', requirePermission('view'), (req, res) => {
+  res.json({ commands: COMMAND_CATALOG });
+});
+
+// Get commands for device (polling)
+app.get('/api/dashcams/:deviceId/commands', authenticateDevice, (req, res) => {
+  const { deviceId } = req.params;
+  logger.info(`[DEBUG] GET /api/dashcams/${deviceId}/commands - Device polling for commands`);
+  
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) {
+    logger.warn(`[DEBUG] Device ${deviceId} not found during command polling`);
+    return res.status(404).json({ error: 'Dashcam not found' });
+  }
+  
+  // Initialize pendingCommands if it doesn't exist
+  if (!dashcam.pendingCommands) {
+    dashcam.pendingCommands = [];
+  }
+  dashcam.lastSeen = new Date();
+  saveDashcamData(deviceId);
+  
+  // Expire anything past its TTL before handing commands out
+  sweepCommands();
+  
+  // Long poll: hold the request until a command is queued or the wait runs out
+  const wait = Math.min(parseInt(req.query.wait) || 0, COMMAND_LONG_POLL_MAX);
+  const hasQueued = dashcam.pendingCommands.some(cmd => cmd.status === 'queued');
+  if (wait <= 0 || hasQueued) {
+    return respondWithQueuedCommands(deviceId, dashcam, res, 'HTTP poll');
+  }
+  
+  const waiter = { res };
+  waiter.timer = setTimeout(() => {
+    removeCommandWaiter(deviceId, waiter);
+    res.json({ commands: [] });
+  }, wait * 1000);
+  res.on('close', () => {
+    clearTimeout(waiter.timer);
+    removeCommandWaiter(deviceId, waiter);
+  });
+  
+  if (!commandWaiters.has(deviceId)) {
+    commandWaiters.set(deviceId, []);
+  }
+  commandWaiters.get(deviceId).push(waiter);
+});
+
+// Command history for a device: active and finished commands with every transition
+app.get('/api/dashcams/:deviceId/commands/history', requirePermission('view'), (req, res) => {
+  const { deviceId } = req.params;
+  const { status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, COMMAND_HISTORY_LIMIT);
+  
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Dashcam not found' });
+  }
+  
+  let commands = [...(dashcam.commandHistory || []), ...(dashcam.pendingCommands || [])];
+  if (status) {
+    commands = commands.filter(cmd => cmd.status === status);
+  }
+  commands.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  
+  res.json({
+    deviceId,
+    commands: commands.slice(0, limit)
+  });
+});
+
+// Get a single command
+app.get('/api/dashcams/:deviceId/commands/:commandId', requirePermission('view'), (req, res) => {
+  const { deviceId, commandId } = req.params;
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Dashcam not found' });
+  }
+  
+  const cmd = findCommand(dashcam, commandId);
+  if (!cmd) {
+    return res.status(404).json({ error: 'Command not found' });
+  }
+  res.json({ deviceId, command: cmd });
+});
+
+// Device acknowledges it received a command and is executing it
+app.post('/api/dashcams/:deviceId/commands/:commandId/ack', authenticateDevice, (req, res) => {
+  const { deviceId, commandId } = req.params;
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Dashcam not found' });
+  }
+  
+  const cmd = findActiveCommand(dashcam, commandId);
+  if (!cmd) {
+    return res.status(404).json({ error: 'Command not found or already finished' });
+  }
+  if (!transitionCommand(deviceId, dashcam, cmd, 'acknowledged')) {
+    return res.status(409).json({ error: `Cannot acknowledge a ${cmd.status} command` });
+  }
+  dashcam.lastSeen = new Date();
+  saveDashcamData(deviceId);
+  
+  res.json({ success: true, commandId: cmd.id, status: cmd.status });
+});
+
+// Cancel a command that has not finished yet
+app.post('/api/dashcams/:deviceId/commands/:commandId/cancel', requirePermission('command'), (req, res) => {
+  const { deviceId, commandId } = req.params;
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Dashcam not found' });
+  }
+  
+  const cmd = findActiveCommand(dashcam, commandId);
+  if (!cmd) {
+    return res.status(404).json({ error: 'Command not found or already finished' });
+  }
+  transitionCommand(deviceId, dashcam, cmd, 'cancelled', req.body.reason || 'cancelled by operator');
+  saveDashcamData(deviceId);
+  
+  // Let a connected device drop it if it already has it
+  if (dashcam.socketId) {
+    io.to(dashcam.socketId).emit('command_cancelled', { commandId: cmd.id, command: cmd.command });
+  }
+  
+  res.json({ success: true, commandId: cmd.id, status: cmd.status });
+});
+
+// Send command to device via HTTP (UI fallback)
+app.post('/api/dashcams/:deviceId/commands', requirePermission('command'), (req, res) => {
+  const { deviceId } = req.params;
+  const { command } = req.body;
+  
+  logger.info(`[DEBUG] POST /api/dashcams/${deviceId}/commands - Command: ${command}`);
+  
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Dashcam not found' });
+  }
+  
+  const validation = validateCommand(dashcam, command, req.body.parameters);
+  if (validation.error) {
+    logger.warn(`[DEBUG] Command rejected for device ${deviceId}: ${validation.error}`);
+    return res.status(400).json({ success: false, error: validation.error });
+  }
+  
+  const { command: commandData, duplicate } = queueCommand(deviceId, dashcam, {
+    ...req.body,
+    ...validation,
+    requestedBy: req.operator.username
+  });
+  if (duplicate) {
+    logger.info(`[DEBUG] Duplicate command ${command} ignored for device ${deviceId}`);
+    return res.json({ 
+      success: true, 
+      message: `Command '${command}' already queued (duplicate ignored)`,
+      commandId: commandData.id
+    });
+  }
+  
+  res.json({ 
+    success: true, 
+    message: `Command '${commandData.command}' queued for device`,
+    commandId: commandData.id,
+    status: commandData.status,
+    expiresAt: commandData.expiresAt
+  });
+});
+
+// Send one command to many devices: a list of deviceIds, a groupId or a tag
+app.post('/api/commands/bulk', requirePermission('command'), (req, res) => {
+  const { command, parameters, ttl, maxRetries, deviceIds, groupId, tag } = req.body;
+  
+  const targets = resolveCommandTargets(req.operator, { deviceIds, groupId, tag });
+  if (targets.error) {
+    return res.status(400).json({ success: false, error: targets.error });
+  }
+  if (targets.deviceIds.length === 0) {
+    return res.status(400).json({ success: false, error: 'No devices match the target' });
+  }
+  if (targets.deviceIds.length > COMMAND_BATCH_MAX_DEVICES) {
+    return res.status(400).json({ success: false, error: `A batch can target at most ${COMMAND_BATCH_MAX_DEVICES} devices` });
+  }
+  
+  // Name and parameters are the same for every device, so reject bad ones up front
+  const validation = validateCommand({}, command, parameters);
+  if (validation.error) {
+    return res.status(400).json({ success: false, error: validation.error });
+  }
+  
+  const batch = createCommandBatch({
+    organizationId: req.operator.organizationId || null,
+    command: validation.command,
+    parameters: validation.parameters,
+    ttl,
+    maxRetries,
+    deviceIds: targets.deviceIds,
+    target: deviceIds !== undefined ? { deviceIds: targets.deviceIds } : groupId !== undefined ? { groupId } : { tag },
+    requestedBy: req.operator.username
+  });
+  
+  const summary = describeCommandBatch(batch);
+  logger.info(`Bulk command ${batch.command} (${batch.id}) queued for ${summary.total} devices by ${req.operator.username}`);
+  res.status(201).json({ success: true, batchId: batch.id, ...summary });
+});
+
+// Status of a bulk command batch
+app.get('/api/commands/bulk/:batchId', requirePermission('view'), (req, res) => {
+  const batch = commandBatches.get(req.params.batchId);
+  if (!batch || !canAccessBatch(req.operator, batch)) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  res.json(describeCommandBatch(batch));
+});
+
+// List schedules
+app.get('/api/schedules', requirePermission('view'), (req, res) => {
+  const list = Array.from(schedules.values())
+    .filter(schedule => canAccessSchedule(req.operator, schedule));
+  res.json({ schedules: list.map(formatSchedule) });
+});
+
+// Get a schedule with its recent runs
+app.get('/api/schedules/:scheduleId', requirePermission('view'), (req, res) => {
+  const schedule = schedules.get(req.params.scheduleId);
+  if (!schedule || !canAccessSchedule(req.operator, schedule)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json(formatSchedule(schedule));
+});
+
+// Create a schedule
+app.post('/api/schedules', requirePermission('command'), (req, res) => {
+  const { schedule, error } = buildSchedule(req.body, req.operator);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  schedules.set(schedule.id, schedule);
+  saveSchedules(schedule.id);
+  
+  logger.info(`Schedule created: ${schedule.id} (${schedule.name}, ${schedule.cron || schedule.runAt.toISOString()}) by ${req.operator.username}`);
+  res.status(201).json({ success: true, schedule: formatSchedule(schedule) });
+});
+
+// Update a schedule
+app.put('/api/schedules/:scheduleId', requirePermission('command'), (req, res) => {
+  const existing = schedules.get(req.params.scheduleId);
+  if (!existing || !canAccessSchedule(req.operator, existing)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  const { schedule, error } = buildSchedule(req.body, req.operator, existing);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  schedules.set(schedule.id, schedule);
+  saveSchedules(schedule.id);
+  
+  logger.info(`Schedule updated: ${schedule.id} (${schedule.name})`);
+  res.json({ success: true, schedule: formatSchedule(schedule) });
+});
+
+// Delete a schedule
+app.delete('/api/schedules/:scheduleId', requirePermission('command'), (req, res) => {
+  const schedule = schedules.get(req.params.scheduleId);
+  if (!schedule || !canAccessSchedule(req.operator, schedule)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  schedules.delete(schedule.id);
+  saveSchedules(schedule.id);
+  
+  logger.info(`Schedule deleted: ${schedule.id} (${schedule.name})`);
+  res.json({ success: true });
+});
+
+// List webhooks
+app.get('/api/webhooks', requirePermission('manage'), (req, res) => {
+  const list = Array.from(webhooks.values())
+    .filter(webhook => canAccessWebhook(req.operator, webhook));
+  res.json({ webhooks: list.map(formatWebhook), events: WEBHOOK_EVENTS });
+});
+
+// Get a webhook
+app.get('/api/webhooks/:webhookId', requirePermission('manage'), (req, res) => {
+  const webhook = webhooks.get(req.params.webhookId);
+  if (!webhook || !canAccessWebhook(req.operator, webhook)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json(formatWebhook(webhook));
+});
+
+// Create a webhook; the signing secret is only returned here and on rotation
+app.post('/api/webhooks', requirePermission('manage'), (req, res) => {
+  const { url, events, description } = req.body;
+  const error = validateWebhook({ url, events });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const webhook = {
+    id: uuidv4(),
+    organizationId: req.operator.organizationId || null,
+    url,
+    events: Array.from(new Set(events)),
+    description: description || '',
+    secret: generateWebhookSecret(),
+    enabled: req.body.enabled !== false,
+    createdBy: req.operator.username,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+  webhooks.set(webhook.id, webhook);
+  saveWebhooks(webhook.id);
+  
+  logger.info(`Webhook created: ${webhook.id} (${webhook.url}) for ${webhook.events.join(', ')}`);
+  res.status(201).json({ success: true, webhook: formatWebhook(webhook), secret: webhook.secret });
+});
+
+// Update a webhook (rotateSecret: true issues a new secret)
+app.put('/api/webhooks/:webhookId', requirePermission('manage'), (req, res) => {
+  const webhook = webhooks.get(req.params.webhookId);
+  if (!webhook || !canAccessWebhook(req.operator, webhook)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  
+  const url = req.body.url !== undefined ? req.body.url : webhook.url;
+  const events = req.body.events !== undefined ? req.body.events : webhook.events;
+  const error = validateWebhook({ url, events });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  webhook.url = url;
+  webhook.events = Array.from(new Set(events));
+  if (req.body.description !== undefined) webhook.description = req.body.description;
+  if (req.body.enabled !== undefined) webhook.enabled = req.body.enabled !== false;
+  if (req.body.rotateSecret) webhook.secret = generateWebhookSecret();
+  webhook.updatedAt = new Date();
+  saveWebhooks(webhook.id);
+  
+  logger.info(`Webhook updated: ${webhook.id} (${webhook.url})`);
+  res.json({
+    success: true,
+    webhook: formatWebhook(webhook),
+    ...(req.body.rotateSecret ? { secret: webhook.secret } : {})
+  });
+});
+
+// Delete a webhook; its pending deliveries are dropped
+app.delete('/api/webhooks/:webhookId', requirePermission('manage'), (req, res) => {
+  const webhook = webhooks.get(req.params.webhookId);
+  if (!webhook || !canAccessWebhook(req.operator, webhook)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  
+  webhooks.delete(webhook.id);
+  const removedDeliveries = webhookDeliveries.filter(delivery => delivery.webhookId === webhook.id);
+  webhookDeliveries = webhookDeliveries.filter(delivery => delivery.webhookId !== webhook.id);
+  saveWebhooks(webhook.id);
+  saveWebhookDeliveries([], removedDeliveries.map(delivery => delivery.id));
+  
+  logger.info(`Webhook deleted: ${webhook.id} (${webhook.url})`);
+  res.json({ success: true });
+});
+
+// Send a ping event to check the receiver and signature handling
+app.post('/api/webhooks/:webhookId/test', requirePermission('manage'), (req, res) => {
+  const webhook = webhooks.get(req.params.webhookId);
+  if (!webhook || !canAccessWebhook(req.operator, webhook)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  
+  const body = JSON.stringify({
+    id: uuidv4(),
+    event: 'ping',
+    timestamp: new Date(),
+    organizationId: webhook.organizationId,
+    data: { webhookId: webhook.id }
+  });
+  const delivery = queueWebhookDelivery(webhook, 'ping', body);
+  saveWebhookDeliveries([delivery]);
+  setImmediate(processWebhookDeliveries);
+  
+  res.status(202).json({ success: true, deliveryId: delivery.id });
+});
+
+// Delivery log for a webhook, newest first
+app.get('/api/webhooks/:webhookId/deliveries', requirePermission('manage'), (req, res) => {
+  const webhook = webhooks.get(req.params.webhookId);
+  if (!webhook || !canAccessWebhook(req.operator, webhook)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  
+  const { status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const deliveries = webhookDeliveries
+    .filter(delivery => delivery.webhookId === webhook.id && (!status || delivery.status === status))
+    .slice(-limit)
+    .reverse()
+    .map(delivery => ({ ...delivery, body: JSON.parse(delivery.body) }));
+  
+  res.json({ webhookId: webhook.id, deliveries });
+});
+
+// Replay a delivery: the same payload is queued again as a new delivery
+app.post('/api/webhooks/:webhookId/deliveries/:deliveryId/replay', requirePermission('manage'), (req, res) => {
+  const webhook = webhooks.get(req.params.webhookId);
+  if (!webhook || !canAccessWebhook(req.operator, webhook)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  const original = webhookDeliveries.find(delivery =>
+    delivery.id === req.params.deliveryId && delivery.webhookId === webhook.id);
+  if (!original) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  
+  const delivery = queueWebhookDelivery(webhook, original.event, original.body, original.id);
+  saveWebhookDeliveries([delivery]);
+  setImmediate(processWebhookDeliveries);
+  
+  logger.info(`Webhook delivery ${original.id} replayed as ${delivery.id} by ${req.operator.username}`);
+  res.status(202).json({ success: true, deliveryId: delivery.id });
+});
+
+// List alerts, newest first (?status=open,acknowledged&severity=&deviceId=&assignee=&from=&to=)
+app.get('/api/alerts', requirePermission('view'), (req, res) => {
+  const { deviceId, assignee } = req.query;
+  // Repeated parameters arrive as arrays: ?status=open&status=resolved
+  const statuses = req.query.status ? [].concat(req.query.status).join(',').split(',') : null;
+  const severities = req.query.severity ? [].concat(req.query.severity).join(',').split(',') : null;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const from = parseQueryDate(req.query.from, null);
+  const to = parseQueryDate(req.query.to, null);
+  
+  if ((from === null && req.query.from) || (to === null && req.query.to)) {
+    return res.status(400).json({ error: 'Invalid from/to date' });
+  }
+  if ((statuses && !statuses.every(status => ALERT_STATUSES.includes(status))) ||
+      (severities && !severities.every(severity => ALERT_SEVERITIES.includes(severity)))) {
+    return res.status(400).json({ error: `status must be among ${ALERT_STATUSES.join(', ')}; severity among ${ALERT_SEVERITIES.join(', ')}` });
+  }
+  
+  const visible = Array.from(alerts.values()).filter(alert => canAccessAlert(req.operator, alert));
+  const matching = visible
+    .filter(alert => (!statuses || statuses.includes(alert.status)) &&
+      (!severities || severities.includes(alert.severity)) &&
+      (!deviceId || alert.deviceId === deviceId) &&
+      (!assignee || alert.assignee === assignee) &&
+      (!from || new Date(alert.createdAt) >= from) &&
+      (!to || new Date(alert.createdAt) <= to))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  
+  // Counts of unresolved alerts for the dashboard queue badge
+  const counts = {};
+  visible.filter(alert => alert.status !== 'resolved').forEach(alert => {
+    counts[alert.severity] = (counts[alert.severity] || 0) + 1;
+  });
+  
+  res.json({
+    total: matching.length,
+    limit,
+    offset,
+    unresolved: counts,
+    alerts: matching.slice(offset, offset + limit)
+  });
+});
+
+// The alert for a request, or a 404
+function getRequestAlert(req, res) {
+  const alert = alerts.get(req.params.alertId);
+  if (!alert || !canAccessAlert(req.operator, alert)) {
+    res.status(404).json({ error: 'Alert not found' });
+    return null;
+  }
+  return alert;
+}
+
+// Get an alert with its notes and history
+app.get('/api/alerts/:alertId', requirePermission('view'), (req, res) => {
+  const alert = getRequestAlert(req, res);
+  if (!alert) return;
+  res.json(alert);
+});
+
+// Acknowledge an alert; stops escalation
+app.post('/api/alerts/:alertId/acknowledge', requirePermission('command'), (req, res) => {
+  const alert = getRequestAlert(req, res);
+  if (!alert) return;
+  if (alert.status !== 'open') {
+    return res.status(409).json({ error: `Alert is already ${alert.status}`, status: alert.status });
+  }
+  
+  alert.status = 'acknowledged';
+  alert.acknowledgedAt = new Date();
+  alert.acknowledgedBy = req.operator.username;
+  if (!alert.assignee) {
+    alert.assignee = req.operator.username;
+  }
+  recordAlertHistory(alert, 'acknowledged', req.operator.username);
+  publishAlert(alert);
+  
+  logger.info(`Alert ${alert.id} acknowledged by ${req.operator.username}`);
+  res.json({ success: true, alert });
+});
+
+// Assign an alert to an operator (assignee: username, or null to unassign)
+app.post('/api/alerts/:alertId/assign', requirePermission('command'), (req, res) => {
+  const alert = getRequestAlert(req, res);
+  if (!alert) return;
+  
+  const { assignee } = req.body;
+  if (assignee !== null) {
+    const operator = findOperatorByUsername(assignee);
+    if (!operator || operator.disabled || !canAccessAlert(operator, alert)) {
+      return res.status(400).json({ error: `No active operator '${assignee}' can see this alert` });
+    }
+    alert.assignee = operator.username;
+  } else {
+    alert.assignee = null;
+  }
+  recordAlertHistory(alert, 'assigned', req.operator.username, alert.assignee || 'unassigned');
+  publishAlert(alert);
+  
+  logger.info(`Alert ${alert.id} assigned to ${alert.assignee || 'nobody'} by ${req.operator.username}`);
+  res.json({ success: true, alert });
+});
+
+// Add a note to an alert
+app.post('/api/alerts/:alertId/notes', requirePermission('command'), (req, res) => {
+  const alert = getRequestAlert(req, res);
+  if (!alert) return;
+  
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  if (!text) {
+    return res.status(400).json({ error: 'text is required' });
+  }
+  
+  const note = { id: uuidv4(), author: req.operator.username, text, createdAt: new Date() };
+  alert.notes.push(note);
+  recordAlertHistory(alert, 'note', req.operator.username);
+  publishAlert(alert);
+  
+  res.status(201).json({ success: true, note });
+});
+
+// Resolve an alert, optionally with a resolution note
+app.post('/api/alerts/:alertId/resolve', requirePermission('command'), (req, res) => {
+  const alert = getRequestAlert(req, res);
+  if (!alert) return;
+  if (alert.status === 'resolved') {
+    return res.status(409).json({ error: 'Alert is already resolved', status: alert.status });
+  }
+  
+  alert.status = 'resolved';
+  alert.resolvedAt = new Date();
+  alert.resolvedBy = req.operator.username;
+  alert.resolution = req.body.resolution || null;
+  if (!alert.acknowledgedAt) {
+    alert.acknowledgedAt = alert.resolvedAt;
+    alert.acknowledgedBy = req.operator.username;
+  }
+  recordAlertHistory(alert, 'resolved', req.operator.username, alert.resolution);
+  publishAlert(alert);
+  
+  logger.info(`Alert ${alert.id} resolved by ${req.operator.username}`);
+  res.json({ success: true, alert });
+});
+
+// Reopen a resolved alert
+app.post('/api/alerts/:alertId/reopen', requirePermission('command'), (req, res) => {
+  const alert = getRequestAlert(req, res);
+  if (!alert) return;
+  if (alert.status !== 'resolved') {
+    return res.status(409).json({ error: `Alert is ${alert.status}, not resolved`, status: alert.status });
+  }
+  
+  alert.status = 'acknowledged';
+  alert.resolvedAt = null;
+  alert.resolvedBy = null;
+  alert.resolution = null;
+  recordAlertHistory(alert, 'reopened', req.operator.username, req.body.reason || null);
+  publishAlert(alert);
+  
+  logger.info(`Alert ${alert.id} reopened by ${req.operator.username}`);
+  res.json({ success: true, alert });
+});
+
+// Query the event stream, newest first
+app.get('/api/events', requirePermission('view'), async (req, res) => {
+  const query = parseEventQuery(req);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+  
+  try {
+    res.json(await queryEvents(query));
+  } catch (error) {
+    logger.error('Error querying events:', error);
+    res.status(500).json({ error: 'Failed to query events' });
+  }
+});
+
+// Add missing endpoints that the Android app expects
+
+// Tell dashboards and webhooks about a stored upload
+function emitMediaUploaded(file) {
+  emitToDashboards(file.deviceId, 'media_uploaded', {
+    deviceId: file.deviceId,
+    fileId: file.id,
+    filename: file.filename,
+    originalName: file.originalName,
+    size: file.size,
+    mimetype: file.mimetype,
+    eventType: file.eventType,
+    url: createSignedMediaUrl(`/api/media/${file.filename}`),
+    thumbnails: formatThumbnails(file),
+    uploadedAt: file.uploadedAt
+  });
+}
+
+// Media upload endpoint
+app.post('/api/dashcams/:deviceId/media', authenticateDevice, upload.single('media'), (req, res) => {
+  const { deviceId } = req.params;
+  const { eventType, type } = req.body;
+  
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  const mediaFile = {
+    id: uuidv4(),
+    deviceId,
+    filename: req.file.filename,
+    originalName: req.file.originalname,
+    path: req.file.path,
+    size: req.file.size,
+    mimetype: req.file.mimetype,
+    eventType: eventType || 'manual',
+    type: type || 'unknown',
+    uploadedAt: new Date()
+  };
+  
+  // Store in appropriate category
+  if (req.file.mimetype.startsWith('image/')) {
+    indexMediaFile('images', mediaFile);
+  } else if (req.file.mimetype.startsWith('video/')) {
+    indexMediaFile('videos', mediaFile);
+  } else if (req.file.mimetype.startsWith('audio/')) {
+    indexMediaFile('audio', mediaFile);
+  }
+  
+  logger.info(`Media uploaded: ${deviceId} - ${req.file.originalname} (${req.file.size} bytes)`);
+  emitMediaUploaded(mediaFile);
+  res.json({ 
+    success: true, 
+    message: 'Media uploaded successfully',
+    fileId: mediaFile.id,
+    filename: mediaFile.filename
+  });
+});
+
+// Photo upload endpoint
+app.post('/api/dashcams/:deviceId/photo', authenticateDevice, upload.single('photo'), (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { eventType } = req.body;
+    
+    logger.info(`[PHOTO UPLOAD] Received photo upload request for device: ${deviceId}`);
+    logger.info(`[PHOTO UPLOAD] Request body: ${JSON.stringify(req.body)}`);
+    logger.info(`[PHOTO UPLOAD] Request file: ${req.file ? 'Present' : 'Missing'}`);
+    
+    if (!req.file) {
+      logger.error(`[PHOTO UPLOAD] No photo uploaded for device: ${deviceId}`);
+      return res.status(400).json({ error: 'No photo uploaded' });
+    }
+    
+    logger.info(`[PHOTO UPLOAD] File details: ${req.file.originalname}, size: ${req.file.size}, mimetype: ${req.file.mimetype}`);
+    
+    const photoFile = {
+      id: uuidv4(),
+      deviceId,
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      path: req.file.path,
+      size: req.file.size,
+      mimetype: req.file.mimetype,
+      eventType: eventType || 'manual',
+      type: 'photo',
+      uploadedAt: new Date()
+    };
+    
+    indexMediaFile('images', photoFile);
+    emitMediaUploaded(photoFile);
+    
+    logger.info(`[PHOTO UPLOAD] Photo uploaded successfully: ${deviceId} - ${req.file.originalname}`);
+    res.json({ 
+      success: true, 
+      message: 'Photo uploaded successfully',
+      fileId: photoFile.id
     });
-      logger.info(`New device registered: ${deviceId}`);
+  } catch (error) {
+    logger.error(`[PHOTO UPLOAD] Error processing photo upload: ${error.message}`, error);
+    res.status(500).json({ 
+      error: 'Internal server error during photo upload',
+      details: error.message 
+    });
+  }
+});
+
+// Video upload endpoint
+app.post('/api/dashcams/:deviceId/video', authenticateDevice, upload.single('video'), (req, res) => {
+  const { deviceId } = req.params;
+  const { eventType } = req.body;
+  
+  if (!req.file) {
+    return res.status(400).json({ error: 'No video uploaded' });
+  }
+  
+  const videoFile = {
+    id: uuidv4(),
+    deviceId,
+    filename: req.file.filename,
+    originalName: req.file.originalname,
+    path: req.file.path,
+    size: req.file.size,
+    mimetype: req.file.mimetype,
+    eventType: eventType || 'manual',
+    type: 'video',
+    uploadedAt: new Date()
+  };
+  
+  indexMediaFile('videos', videoFile);
+  emitMediaUploaded(videoFile);
+  
+  logger.info(`Video uploaded: ${deviceId} - ${req.file.originalname}`);
+  res.json({ 
+    success: true, 
+    message: 'Video uploaded successfully',
+    fileId: videoFile.id
+  });
+});
+
+// The upload session for a device, or a 404
+function getDeviceUploadSession(req, res) {
+  const session = uploadSessions.get(req.params.uploadId);
+  if (!session || session.deviceId !== req.params.deviceId) {
+    res.status(404).json({ error: 'Upload session not found', uploadId: req.params.uploadId });
+    return null;
+  }
+  return session;
+}
+
+// Start a resumable upload
+app.post('/api/dashcams/:deviceId/uploads', authenticateDevice, async (req, res) => {
+  const { deviceId } = req.params;
+  const { filename, size, mimetype, eventType, type, checksum } = req.body;
+  const fileSize = parseInt(size);
+  
+  if (!filename || typeof filename !== 'string') {
+    return res.status(400).json({ error: 'filename is required' });
+  }
+  if (!getMediaCategory(mimetype)) {
+    return res.status(400).json({ error: 'mimetype must be an image, video or audio type' });
+  }
+  if (!(fileSize > 0) || fileSize > RESUMABLE_UPLOAD_MAX_SIZE) {
+    return res.status(400).json({ error: `size must be between 1 and ${RESUMABLE_UPLOAD_MAX_SIZE} bytes` });
+  }
+  if (checksum !== undefined && !/^[0-9a-f]{64}$/i.test(checksum)) {
+    return res.status(400).json({ error: 'checksum must be a hex SHA-256 digest' });
+  }
+  
+  const session = {
+    id: uuidv4(),
+    deviceId,
+    originalName: filename,
+    size: fileSize,
+    mimetype,
+    eventType: eventType || 'manual',
+    type: type || 'unknown',
+    checksum: checksum ? checksum.toLowerCase() : null,
+    received: 0,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL)
+  };
+  try {
+    await fs.writeFile(getPartialUploadPath(session.id), '');
+  } catch (error) {
+    logger.error(`Error creating partial upload ${session.id}:`, error);
+    return res.status(500).json({ error: 'Failed to start upload' });
+  }
+  uploadSessions.set(session.id, session);
+  saveUploadSessions(session.id);
+  
+  logger.info(`Upload session ${session.id} started: ${deviceId} - ${filename} (${fileSize} bytes)`);
+  res.status(201).json({ success: true, ...formatUploadSession(session) });
+});
+
+// Offset received so far, to resume from
+app.get('/api/dashcams/:deviceId/uploads/:uploadId', authenticateDevice, (req, res) => {
+  const session = getDeviceUploadSession(req, res);
+  if (!session) return;
+  res.json(formatUploadSession(session));
+});
+
+// Append a chunk; the Upload-Offset header (or ?offset=) must match the received offset.
+// The raw body parser for this route is mounted with the other body parsers.
+app.put('/api/dashcams/:deviceId/uploads/:uploadId', authenticateDevice, async (req, res) => {
+  const session = getDeviceUploadSession(req, res);
+  if (!session) return;
+  
+  const offset = parseInt(req.get('Upload-Offset') !== undefined ? req.get('Upload-Offset') : req.query.offset);
+  const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  
+  if (busyUploads.has(session.id)) {
+    return res.status(409).json({ error: 'Another chunk is being written', offset: session.received });
+  }
+  if (offset !== session.received) {
+    return res.status(409).json({ error: 'Offset does not match the data received', offset: session.received });
+  }
+  if (chunk.length === 0) {
+    return res.status(400).json({ error: 'Chunk is empty' });
+  }
+  if (session.received + chunk.length > session.size) {
+    return res.status(400).json({ error: 'Chunk runs past the declared size', offset: session.received, size: session.size });
+  }
+  
+  busyUploads.add(session.id);
+  try {
+    await fs.appendFile(getPartialUploadPath(session.id), chunk);
+    session.received += chunk.length;
+    session.expiresAt = new Date(Date.now() + UPLOAD_SESSION_TTL);
+  } catch (error) {
+    logger.error(`Error writing chunk for upload ${session.id}:`, error);
+    return res.status(500).json({ error: 'Failed to store chunk', offset: session.received });
+  } finally {
+    busyUploads.delete(session.id);
+  }
+  saveUploadSessions(session.id);
+  
+  res.json({ success: true, offset: session.received, size: session.size });
+});
+
+// Finish an upload: check size and SHA-256, then index it like a normal upload
+app.post('/api/dashcams/:deviceId/uploads/:uploadId/complete', authenticateDevice, async (req, res) => {
+  const session = getDeviceUploadSession(req, res);
+  if (!session) return;
+  
+  const checksum = (req.body.checksum || session.checksum || '').toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(checksum)) {
+    return res.status(400).json({ error: 'checksum (hex SHA-256 of the whole file) is required' });
+  }
+  if (busyUploads.has(session.id)) {
+    return res.status(409).json({ error: 'A chunk is still being written', offset: session.received });
+  }
+  if (session.received !== session.size) {
+    return res.status(409).json({ error: 'Upload is incomplete', offset: session.received, size: session.size });
+  }
+  
+  const partPath = getPartialUploadPath(session.id);
+  busyUploads.add(session.id);
+  let actual;
+  try {
+    actual = await sha256File(partPath);
+  } catch (error) {
+    logger.error(`Error hashing upload ${session.id}:`, error);
+    return res.status(500).json({ error: 'Failed to verify upload' });
+  } finally {
+    busyUploads.delete(session.id);
+  }
+  
+  // A corrupt upload cannot be resumed, so the device starts over
+  if (actual !== checksum) {
+    logger.warn(`Upload ${session.id} from ${session.deviceId} failed checksum verification`);
+    await removeUploadSession(session);
+    return res.status(422).json({ error: 'Checksum mismatch; start a new upload', expected: checksum, actual });
+  }
+  
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const filename = 'upload-' + uniqueSuffix + path.extname(session.originalName);
+  const filePath = path.join(UPLOADS_DIR, filename);
+  busyUploads.add(session.id);
+  try {
+    await fs.move(partPath, filePath);
+  } catch (error) {
+    logger.error(`Error storing upload ${session.id}:`, error);
+    return res.status(500).json({ error: 'Failed to store upload' });
+  } finally {
+    busyUploads.delete(session.id);
+  }
+  
+  const mediaFile = {
+    id: uuidv4(),
+    deviceId: session.deviceId,
+    filename,
+    originalName: session.originalName,
+    path: path.join('uploads', filename),
+    size: session.size,
+    mimetype: session.mimetype,
+    eventType: session.eventType,
+    type: session.type,
+    checksum,
+    uploadedAt: new Date()
+  };
+  indexMediaFile(getMediaCategory(session.mimetype), mediaFile);
+  await removeUploadSession(session);
+  
+  logger.info(`Media uploaded (resumable): ${session.deviceId} - ${session.originalName} (${session.size} bytes)`);
+  emitMediaUploaded(mediaFile);
+  res.json({ 
+    success: true, 
+    message: 'Media uploaded successfully',
+    fileId: mediaFile.id,
+    filename: mediaFile.filename
+  });
+});
+
+// Abandon an upload
+app.delete('/api/dashcams/:deviceId/uploads/:uploadId', authenticateDevice, async (req, res) => {
+  const session = getDeviceUploadSession(req, res);
+  if (!session) return;
+  
+  await removeUploadSession(session);
+  logger.info(`Upload session ${session.id} cancelled by ${session.deviceId}`);
+  res.json({ success: true });
+});
+
+// Events endpoint
+app.post('/api/dashcams/:deviceId/events', authenticateDevice, (req, res) => {
+  const { deviceId } = req.params;
+  const { eventType, description, severity, location, data, timestamp } = req.body;
+  
+  if (!eventType) {
+    return res.status(400).json({ error: 'eventType is required' });
+  }
+  if (severity !== undefined && !ALERT_SEVERITIES.includes(severity)) {
+    return res.status(400).json({ error: `severity must be one of ${ALERT_SEVERITIES.join(', ')}` });
+  }
+  if (timestamp !== undefined && parseQueryDate(String(timestamp), null) === null) {
+    return res.status(400).json({ error: 'Invalid timestamp' });
+  }
+  
+  const event = recordEvent({
+    deviceId,
+    type: eventType,
+    severity: getDeviceEventSeverity(eventType, severity),
+    source: 'http',
+    location,
+    description,
+    payload: data,
+    timestamp: timestamp !== undefined ? parseQueryDate(String(timestamp), null) : undefined
+  });
+  
+  // Update dashcam events
+  const dashcam = dashcamData.get(deviceId);
+  if (dashcam) {
+    if (!dashcam.events) {
+      dashcam.events = [];
     }
-    
-    io.emit('dashcam_status', {
+    dashcam.events.push({
+      id: event.id,
       deviceId,
-      status: 'online',
-      timestamp: new Date()
+      eventType,
+      description,
+      timestamp: event.timestamp
     });
-    
-    saveDashcamData();
+    dashcam.lastSeen = new Date();
+    saveDashcamData(deviceId);
+  }
+  
+  logger.info(`Event logged: ${deviceId} - ${eventType}: ${description}`);
+  res.json({ 
+    success: true, 
+    message: 'Event logged successfully',
+    eventId: event.id
   });
+});
 
-  // Handle dashcam events
-  socket.on('dashcam_event', (data) => {
-    const { deviceId, eventType, eventData } = data;
-    const dashcam = dashcamData.get(deviceId);
-    
-    if (dashcam) {
-      dashcam.lastSeen = new Date();
-      dashcam.events.push({
-        type: eventType,
-        data: eventData,
-        timestamp: new Date()
-      });
-      
-      eventLog.push({
-        deviceId,
-        eventType,
-        eventData,
-        timestamp: new Date()
-      });
-      
-      logger.info(`Dashcam event: ${deviceId} - ${eventType}`);
-      io.emit('dashcam_event', {
-        deviceId,
-        eventType,
-        eventData,
-        timestamp: new Date()
-      });
-    }
+// Location endpoint
+app.post('/api/dashcams/:deviceId/location', authenticateDevice, (req, res) => {
+  const { deviceId } = req.params;
+  const { latitude, longitude, altitude, speed, bearing, accuracy, timestamp } = req.body;
+  
+  const location = {
+    latitude: parseFloat(latitude),
+    longitude: parseFloat(longitude),
+    altitude: parseFloat(altitude) || 0,
+    speed: parseFloat(speed) || 0,
+    bearing: parseFloat(bearing) || 0,
+    accuracy: parseFloat(accuracy) || 0,
+    timestamp: timestamp || new Date()
+  };
+  
+  // Get or create dashcam entry
+  const dashcam = getOrRegisterDashcam(deviceId, { source: 'location update' });
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Device not found', deviceId });
+  }
+  
+  // Update dashcam location
+    dashcam.location = location;
+    dashcam.lastSeen = new Date();
+  processLocation(deviceId, location, 'location update');
+  saveDashcamData(deviceId); // Persist location update
+  
+  // Emit Socket.IO event for UI to see location update
+  emitToDashboards(deviceId, 'location_update', {
+    deviceId,
+    location: location,
+    timestamp: new Date()
+  });
+  
+  // Store JT808 data
+  pushJt808Data(dashcam, {
+    type: 'location',
+    data: location,
+    timestamp: new Date()
+  });
+  
+  logger.info(`Location update: ${deviceId} - ${latitude}, ${longitude}`);
+  res.json({ 
+    success: true, 
+    message: 'Location updated successfully'
   });
+});
 
-  // Handle location updates
-  socket.on('location_update', (data) => {
-    const { deviceId, location } = data;
-    const dashcam = dashcamData.get(deviceId);
+// Heartbeat endpoint
+app.post('/api/dashcams/:deviceId/heartbeat', authenticateDevice, (req, res) => {
+  const { deviceId } = req.params;
+  const { batteryLevel, storageAvailable } = req.body;
+  
+  const dashcam = dashcamData.get(deviceId);
+  if (dashcam) {
+    dashcam.lastSeen = new Date();
+    dashcam.batteryLevel = batteryLevel;
+    dashcam.storageAvailable = storageAvailable;
+    dashcam.lastHeartbeatAt = new Date();
+    saveDashcamData(deviceId);
+  }
+  
+  logger.debug(`Heartbeat: ${deviceId}`);
+  res.json({ 
+    success: true, 
+    message: 'Heartbeat received'
+  });
+});
+
+// Replay buffered telemetry with the original timestamps
+app.post('/api/dashcams/:deviceId/telemetry/batch', authenticateDevice, async (req, res) => {
+  const { deviceId } = req.params;
+  const { locations = [], events = [], heartbeats = [] } = req.body;
+  
+  if (![locations, events, heartbeats].every(Array.isArray)) {
+    return res.status(400).json({ error: 'locations, events and heartbeats must be arrays' });
+  }
+  if (locations.length + events.length + heartbeats.length > TELEMETRY_BATCH_MAX_ITEMS) {
+    return res.status(413).json({ error: `A batch holds at most ${TELEMETRY_BATCH_MAX_ITEMS} items` });
+  }
+  
+  const dashcam = getOrRegisterDashcam(deviceId, { source: 'telemetry batch' });
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Device not found', deviceId });
+  }
+  
+  const accepted = { locations: 0, events: 0, heartbeats: 0 };
+  const rejected = [];
+  let duplicates = 0;
+  
+  // Validate an item, then claim its ID; rejected items keep their ID free for a retry
+  function admit(kind, item, index, validate) {
+    const { timestamp, error } = parseTelemetryTime(item);
+    const problem = error || validate(item);
+    if (problem) {
+      rejected.push({ kind, index, id: item && item.id, error: problem });
+      return null;
+    }
+    if (!claimTelemetryId(deviceId, kind, item.id)) {
+      duplicates++;
+      return null;
+    }
+    return timestamp;
+  }
+  
+  const points = [];
+  locations.forEach((item, index) => {
+    const timestamp = admit('location', item, index, location => {
+      const coordinates = { latitude: parseFloat(location.latitude), longitude: parseFloat(location.longitude) };
+      return isValidCoordinate(coordinates) ? null : 'Invalid coordinates';
+    });
+    if (timestamp) {
+      points.push(toTrackPoint({ ...item, timestamp }, 'telemetry batch'));
+    }
+  });
+  points.sort((a, b) => a.timestamp - b.timestamp);
+  accepted.locations = points.length;
+  
+  if (points.length > 0) {
+    await insertLocationHistory(deviceId, points);
+    const staleBefore = Date.now() - TELEMETRY_STALE_SECONDS * 1000;
+    for (const point of points) {
+      applyTrackPoint(deviceId, point, { live: point.timestamp.getTime() >= staleBefore });
+    }
     
-    if (dashcam) {
-      dashcam.location = location;
-      dashcam.lastSeen = new Date();
-      
-      io.emit('location_update', {
+    // Only move the device's position forward in time
+    const newest = points[points.length - 1];
+    if (!dashcam.location || !dashcam.location.timestamp || newest.timestamp >= new Date(dashcam.location.timestamp)) {
+      dashcam.location = {
+        latitude: newest.latitude,
+        longitude: newest.longitude,
+        altitude: newest.altitude,
+        speed: newest.speed,
+        bearing: newest.bearing,
+        accuracy: newest.accuracy || 0,
+        timestamp: newest.timestamp
+      };
+      emitToDashboards(deviceId, 'location_update', {
         deviceId,
-        location,
+        location: dashcam.location,
         timestamp: new Date()
       });
     }
-  });
-
-  // Handle command responses
-  socket.on('command_response', (data) => {
-    const { commandId, deviceId, response, success } = data;
+  }
+  
+  events.forEach((item, index) => {
+    const timestamp = admit('event', item, index, event => {
+      if (!event.eventType) return 'eventType is required';
+      if (event.severity !== undefined && !ALERT_SEVERITIES.includes(event.severity)) {
+        return `severity must be one of ${ALERT_SEVERITIES.join(', ')}`;
+      }
+      return null;
+    });
+    if (!timestamp) return;
     
-    commandHistory.push({
-      commandId,
+    const event = recordEvent({
       deviceId,
-      response,
-      success,
-      timestamp: new Date()
+      type: item.eventType,
+      severity: getDeviceEventSeverity(item.eventType, item.severity),
+      source: 'batch',
+      location: item.location,
+      description: item.description,
+      payload: item.data,
+      timestamp
     });
-    
-    logger.info(`Command response: ${commandId} - ${success ? 'SUCCESS' : 'FAILED'}`);
-    io.emit('command_response', {
-      commandId,
+    if (!dashcam.events) {
+      dashcam.events = [];
+    }
+    dashcam.events.push({
+      id: event.id,
       deviceId,
-      response,
-      success,
-      timestamp: new Date()
+      eventType: item.eventType,
+      description: item.description,
+      timestamp
     });
+    accepted.events++;
   });
-
-  // Handle heartbeat
-  socket.on('heartbeat', (data) => {
-    const { deviceId } = data;
-    const dashcam = dashcamData.get(deviceId);
+  
+  // Only the newest heartbeat says anything about the device now
+  let latestHeartbeat = null;
+  heartbeats.forEach((item, index) => {
+    const timestamp = admit('heartbeat', item, index, () => null);
+    if (!timestamp) return;
     
-    if (dashcam) {
-      dashcam.lastSeen = new Date();
-      logger.debug(`Heartbeat received from: ${deviceId}`);
+    accepted.heartbeats++;
+    if (!latestHeartbeat || timestamp > latestHeartbeat.timestamp) {
+      latestHeartbeat = { ...item, timestamp };
     }
   });
+  if (latestHeartbeat && (!dashcam.lastHeartbeatAt || latestHeartbeat.timestamp >= new Date(dashcam.lastHeartbeatAt))) {
+    if (latestHeartbeat.batteryLevel !== undefined) dashcam.batteryLevel = latestHeartbeat.batteryLevel;
+    if (latestHeartbeat.storageAvailable !== undefined) dashcam.storageAvailable = latestHeartbeat.storageAvailable;
+    dashcam.lastHeartbeatAt = latestHeartbeat.timestamp;
+  }
+  
+  dashcam.lastSeen = new Date();
+  saveDashcamData(deviceId);
+  saveTelemetryIds(deviceId);
+  
+  logger.info(`Telemetry batch from ${deviceId}: ${accepted.locations} locations, ${accepted.events} events, ${accepted.heartbeats} heartbeats (${duplicates} duplicates, ${rejected.length} rejected)`);
+  res.json({ success: true, accepted, duplicates, rejected });
+});
 
-  // Handle device reconnection
-  socket.on('device_reconnect', (data) => {
-    const { deviceId, deviceInfo } = data;
-    const dashcam = dashcamData.get(deviceId);
+// Get media files for a device
+app.get('/api/dashcams/:deviceId/media', requirePermission('view'), (req, res) => {
+  const { deviceId } = req.params;
+  const { type } = req.query;
+  
+  let files = [];
+  if (type === 'images' || type === 'photos') {
+    files = mediaFiles.images.filter(f => f.deviceId === deviceId);
+  } else if (type === 'videos') {
+    files = mediaFiles.videos.filter(f => f.deviceId === deviceId);
+  } else if (type === 'audio') {
+    files = mediaFiles.audio.filter(f => f.deviceId === deviceId);
+  } else {
+    files = [
+      ...mediaFiles.images.filter(f => f.deviceId === deviceId),
+      ...mediaFiles.videos.filter(f => f.deviceId === deviceId),
+      ...mediaFiles.audio.filter(f => f.deviceId === deviceId)
+    ];
+  }
+  
+  res.json({ 
+    deviceId,
+    files: files.filter(f => !f.deletedAt).map(f => ({
+      id: f.id,
+      filename: f.filename,
+      originalName: f.originalName,
+      size: f.size,
+      mimetype: f.mimetype,
+      eventType: f.eventType,
+      uploadedAt: f.uploadedAt,
+      url: createSignedMediaUrl(`/api/media/${f.filename}`),
+      thumbnails: formatThumbnails(f)
+    }))
+  });
+});
+
+// Get events for a device
+app.get('/api/dashcams/:deviceId/events', requirePermission('view'), async (req, res) => {
+  const { deviceId } = req.params;
+  const query = parseEventQuery(req, { ...req.query, deviceId });
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+  
+  try {
+    res.json({ deviceId, ...(await queryEvents(query)) });
+  } catch (error) {
+    logger.error(`Error querying events for ${deviceId}:`, error);
+    res.status(500).json({ error: 'Failed to query events' });
+  }
+});
+
+// Rate limit usage of a device
+app.get('/api/dashcams/:deviceId/rate-limits', requirePermission('view'), async (req, res) => {
+  const { deviceId } = req.params;
+  if (!dashcamData.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found', deviceId });
+  }
+  
+  res.json({
+    deviceId,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    budgets: await getDeviceRateLimitUsage(deviceId)
+  });
+});
+
+// Get current location for a device
+app.get('/api/dashcams/:deviceId/location', requirePermission('view'), (req, res) => {
+  const { deviceId } = req.params;
+  const dashcam = dashcamData.get(deviceId);
+  
+  if (!dashcam) {
+    return res.status(404).json({ 
+      error: 'Device not found',
+      deviceId 
+    });
+  }
+  
+  if (!dashcam.location) {
+    return res.status(404).json({ 
+      error: 'No location data available for this device',
+      deviceId 
+    });
+  }
+  
+  res.json({ 
+    deviceId,
+    location: dashcam.location,
+    lastSeen: dashcam.lastSeen,
+    status: dashcam.status
+  });
+});
+
+// Parse a from/to/at query value (ISO string or epoch milliseconds)
+function parseQueryDate(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const date = /^\d+$/.test(value) ? new Date(parseInt(value)) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Get location history (track) for a device
+app.get('/api/dashcams/:deviceId/track', requirePermission('view'), async (req, res) => {
+  const { deviceId } = req.params;
+  const { interval, maxPoints } = req.query;
+  
+  const to = parseQueryDate(req.query.to, new Date());
+  const from = parseQueryDate(req.query.from, to && new Date(to.getTime() - 24 * 60 * 60 * 1000));
+  if (!from || !to) {
+    return res.status(400).json({ error: 'Invalid from/to date' });
+  }
+  if (from > to) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
+  if (to - from > TRACK_MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ error: `Track range cannot exceed ${TRACK_MAX_RANGE_DAYS} days` });
+  }
+  
+  if (!dashcamData.has(deviceId)) {
+    return res.status(404).json({ 
+      error: 'Device not found',
+      deviceId 
+    });
+  }
+  
+  try {
+    const points = await readLocationHistory(deviceId, from, to);
+    const distance = trackDistance(points);
+    const sampled = downsampleTrack(points, {
+      interval: parseInt(interval) || 0,
+      maxPoints: parseInt(maxPoints) || 0
+    });
     
-    if (dashcam) {
-      dashcam.socketId = socket.id;
-      dashcam.lastSeen = new Date();
-      dashcam.status = 'online';
-      if (deviceInfo) {
-        dashcam.deviceInfo = { ...dashcam.deviceInfo, ...deviceInfo };
-      }
-      
-      logger.info(`Device reconnected: ${deviceId}`);
-      io.emit('dashcam_status', {
+    res.json({
+      deviceId,
+      from,
+      to,
+      totalPoints: points.length,
+      pointCount: sampled.length,
+      distance: Math.round(distance), // meters, over all points before downsampling
+      distanceKm: Math.round(distance / 10) / 100,
+      startTime: points.length > 0 ? points[0].timestamp : null,
+      endTime: points.length > 0 ? points[points.length - 1].timestamp : null,
+      points: sampled
+    });
+  } catch (error) {
+    logger.error(`Error reading track for ${deviceId}: ${error.message}`, error);
+    res.status(500).json({ error: 'Failed to read location history' });
+  }
+});
+
+// Get the position of a device at a point in time (nearest breadcrumb)
+app.get('/api/dashcams/:deviceId/track/position', requirePermission('view'), async (req, res) => {
+  const { deviceId } = req.params;
+  const at = parseQueryDate(req.query.at, null);
+  const tolerance = (parseInt(req.query.tolerance) || 600) * 1000; // seconds either side
+  
+  if (!at) {
+    return res.status(400).json({ error: 'A valid at= time is required' });
+  }
+  if (!dashcamData.has(deviceId)) {
+    return res.status(404).json({ 
+      error: 'Device not found',
+      deviceId 
+    });
+  }
+  
+  try {
+    const points = await readLocationHistory(deviceId, new Date(at.getTime() - tolerance), new Date(at.getTime() + tolerance));
+    if (points.length === 0) {
+      return res.status(404).json({ 
+        error: 'No location history near the requested time',
         deviceId,
-        status: 'online',
-        timestamp: new Date()
+        at
       });
-      
-      saveDashcamData();
     }
-  });
-
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    logger.info(`[DEBUG] Client disconnected: ${socket.id}`);
     
-    // Mark dashcam as offline
-    for (const [deviceId, dashcam] of dashcamData.entries()) {
-      if (dashcam.socketId === socket.id) {
-        dashcam.status = 'offline';
-        dashcam.socketId = null;
-        
-        io.emit('dashcam_status', {
-          deviceId,
-          status: 'offline',
-          timestamp: new Date()
-        });
-        
-        logger.info(`Device ${deviceId} disconnected`);
-        saveDashcamData();
-        break;
-      }
-    }
-  });
+    const nearest = points.reduce((best, point) =>
+      Math.abs(new Date(point.timestamp) - at) < Math.abs(new Date(best.timestamp) - at) ? point : best
+    );
+    res.json({
+      deviceId,
+      at,
+      offsetSeconds: Math.round((new Date(nearest.timestamp) - at) / 1000),
+      location: nearest
+    });
+  } catch (error) {
+    logger.error(`Error reading position for ${deviceId}: ${error.message}`, error);
+    res.status(500).json({ error: 'Failed to read location history' });
+  }
+});
 
-  // Relay 'get_location' command from dashboard to device
-  socket.on('get_location', (data) => {
-    const { deviceId } = data;
-    const dashcam = dashcamData.get(deviceId);
-    if (dashcam && dashcam.socketId) {
-      io.to(dashcam.socketId).emit('get_location_request', { requestorSocketId: socket.id });
-      logger.info(`Relayed 'get_location' command to device: ${deviceId}`);
-    } else {
-      socket.emit('location_error', { error: 'Device not connected', deviceId });
-    }
+// Get trips for a device
+app.get('/api/dashcams/:deviceId/trips', requirePermission('view'), (req, res) => {
+  const { deviceId } = req.params;
+  const limit = Math.min(parseInt(req.query.limit) || 100, TRIPS_PER_DEVICE_LIMIT);
+  const from = parseQueryDate(req.query.from, null);
+  const to = parseQueryDate(req.query.to, null);
+  
+  if ((from === null && req.query.from) || (to === null && req.query.to)) {
+    return res.status(400).json({ error: 'Invalid from/to date' });
+  }
+  if (!dashcamData.has(deviceId)) {
+    return res.status(404).json({ 
+      error: 'Device not found',
+      deviceId 
+    });
+  }
+  
+  // Trips overlapping [from, to], newest first
+  const deviceTrips = (trips.get(deviceId) || [])
+    .filter(trip => !from || !trip.endTime || new Date(trip.endTime) >= from)
+    .filter(trip => !to || new Date(trip.startTime) <= to)
+    .slice(-limit)
+    .reverse()
+    .map(formatTrip);
+  
+  const activeTrip = getActiveTrip(deviceId);
+  res.json({
+    deviceId,
+    activeTrip: activeTrip ? formatTrip(activeTrip) : null,
+    trips: deviceTrips
   });
+});
 
-  // Device sends location in response to 'get_location_request'
-  socket.on('location_response', (data) => {
-    const { deviceId, location, requestorSocketId } = data;
-    if (requestorSocketId) {
-      io.to(requestorSocketId).emit('location_response', { deviceId, location });
-      logger.info(`Forwarded location from device ${deviceId} to dashboard`);
-    } else {
-      // Fallback: broadcast to all dashboards (optional)
-      io.emit('location_response', { deviceId, location });
+// Get a single trip, optionally with its track
+app.get('/api/dashcams/:deviceId/trips/:tripId', requirePermission('view'), async (req, res) => {
+  const { deviceId, tripId } = req.params;
+  const trip = (trips.get(deviceId) || []).find(t => t.id === tripId);
+  
+  if (!trip) {
+    return res.status(404).json({ error: 'Trip not found' });
+  }
+  
+  const result = { deviceId, trip: formatTrip(trip) };
+  if (req.query.track === 'true') {
+    try {
+      const end = trip.endTime ? new Date(trip.endTime) : new Date();
+      result.points = await readLocationHistory(deviceId, new Date(trip.startTime), end);
+    } catch (error) {
+      logger.error(`Error reading track for trip ${tripId}: ${error.message}`, error);
+      return res.status(500).json({ error: 'Failed to read location history' });
     }
-  });
+  }
+  res.json(result);
 });
 
-// API Routes
+// List geofences
+app.get('/api/geofences', requirePermission('view'), (req, res) => {
+  const { deviceId } = req.query;
+  let list = Array.from(geofences.values())
+    .filter(geofence => canAccessOrganization(req.operator, geofence.organizationId));
+  if (deviceId) {
+    list = list.filter(geofence => geofenceAppliesTo(geofence, deviceId));
+  }
+  res.json({ geofences: list });
+});
 
-// Health check
-app.get('/api/status', (req, res) => {
-  res.json({
-    status: 'online',
-    timestamp: new Date(),
-    uptime: process.uptime(),
-    version: '1.0.0',
-    connectedDevices: dashcamData.size,
-    totalEvents: eventLog.length
+// Get a geofence
+app.get('/api/geofences/:geofenceId', requirePermission('view'), (req, res) => {
+  const geofence = geofences.get(req.params.geofenceId);
+  if (!geofence || !canAccessOrganization(req.operator, geofence.organizationId)) {
+    return res.status(404).json({ error: 'Geofence not found' });
+  }
+  res.json(geofence);
+});
+
+// Create a geofence
+app.post('/api/geofences', requirePermission('manage'), (req, res) => {
+  const geofence = buildGeofence({
+    ...req.body,
+    organizationId: resolveOrganizationId(req.operator, req.body.organizationId)
   });
+  const error = organizations.has(geofence.organizationId) ? validateGeofence(geofence) : 'Unknown organizationId';
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  geofences.set(geofence.id, geofence);
+  saveGeofences(geofence.id);
+  
+  logger.info(`Geofence created: ${geofence.id} (${geofence.name}, ${geofence.type})`);
+  res.status(201).json({ success: true, geofence });
 });
 
-// Get all dashcams
-app.get('/api/dashcams', (req, res) => {
-  logger.info('[DEBUG] GET /api/dashcams called');
-  const dashcams = Array.from(dashcamData.entries()).map(([deviceId, data]) => ({
-    deviceId,
-    status: data.status,
-    lastSeen: data.lastSeen,
-    location: data.location,
-    jt808Enabled: data.jt808Enabled || false,
-    model: data.model || 'Unknown',
-    version: data.version || 'Unknown'
-  }));
-  logger.info(`[DEBUG] Returning ${dashcams.length} dashcams`);
-  res.json(dashcams);
+// Update a geofence
+app.put('/api/geofences/:geofenceId', requirePermission('manage'), (req, res) => {
+  const existing = geofences.get(req.params.geofenceId);
+  if (!existing || !canAccessOrganization(req.operator, existing.organizationId)) {
+    return res.status(404).json({ error: 'Geofence not found' });
+  }
+  
+  const geofence = buildGeofence(req.body, existing);
+  const error = validateGeofence(geofence);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  geofences.set(geofence.id, geofence);
+  saveGeofences(geofence.id);
+  
+  logger.info(`Geofence updated: ${geofence.id} (${geofence.name})`);
+  res.json({ success: true, geofence });
+});
+
+// Delete a geofence
+app.delete('/api/geofences/:geofenceId', requirePermission('manage'), (req, res) => {
+  const { geofenceId } = req.params;
+  const geofence = geofences.get(geofenceId);
+  if (!geofence || !canAccessOrganization(req.operator, geofence.organizationId)) {
+    return res.status(404).json({ error: 'Geofence not found' });
+  }
+  geofences.delete(geofenceId);
+  saveGeofences(geofenceId);
+  
+  for (const dashcam of dashcamData.values()) {
+    if (dashcam.geofencesInside) {
+      dashcam.geofencesInside = dashcam.geofencesInside.filter(id => id !== geofenceId);
+    }
+  }
+  
+  logger.info(`Geofence deleted: ${geofenceId}`);
+  res.json({ success: true, message: 'Geofence deleted successfully' });
 });
 
-// Get specific dashcam
-app.get('/api/dashcams/:deviceId', (req, res) => {
+// Get geofences assigned to a device and which ones it is inside
+app.get('/api/dashcams/:deviceId/geofences', requirePermission('view'), (req, res) => {
   const { deviceId } = req.params;
   const dashcam = dashcamData.get(deviceId);
   
   if (!dashcam) {
-    logger.warn('[DEBUG] 404: Dashcam not found for deviceId ' + deviceId);
-    return res.status(404).json({ error: 'Dashcam not found' });
+    return res.status(404).json({ 
+      error: 'Device not found',
+      deviceId 
+    });
   }
   
+  const inside = dashcam.geofencesInside || [];
   res.json({
     deviceId,
-    ...dashcam,
-    jt808Data: dashcam.jt808Data || []
+    geofences: Array.from(geofences.values())
+      .filter(geofence => geofenceAppliesTo(geofence, deviceId))
+      .map(geofence => ({ ...geofence, inside: inside.includes(geofence.id) }))
   });
 });
 
-// Register dashcam
-app.post('/api/dashcams/register', (req, res) => {
-  logger.info(`[DEBUG] POST /api/dashcams/register body: ${JSON.stringify(req.body)}`);
-  const { deviceId, model, version } = req.body;
-  if (!deviceId) {
-    logger.warn('[DEBUG] 400: Device ID is required');
-    return res.status(400).json({ error: 'Device ID is required' });
-  }
-  
-  // Register or update device
-  const dashcam = {
-    deviceId,
-    model: model || 'Unknown',
-    version: version || 'Unknown',
-    status: 'online',
-    lastSeen: new Date(),
-    registeredAt: new Date(),
-    jt808Enabled: false
-  };
-  
-  dashcamData.set(deviceId, dashcam);
-  saveDashcamData(); // Persist registration
+// Get speed rules
+app.get('/api/speed-rules', requirePermission('view'), (req, res) => {
+  const devices = {};
+  Object.entries(speedRules.devices)
+    .filter(([deviceId]) => canAccessDevice(req.operator, deviceId))
+    .forEach(([deviceId, rule]) => {
+      devices[deviceId] = rule;
+    });
   
-  // Emit Socket.IO event for UI to see the device
-  io.emit('dashcam_status', {
-    deviceId,
-    status: 'online',
-    timestamp: new Date()
+  res.json({
+    global: speedRules.global,
+    devices,
+    geofences: Array.from(geofences.values())
+      .filter(geofence => geofence.speedLimit && canAccessOrganization(req.operator, geofence.organizationId))
+      .map(geofence => ({
+        geofenceId: geofence.id,
+        name: geofence.name,
+        limit: geofence.speedLimit,
+        minDuration: geofence.speedLimitDuration || 0
+      }))
   });
-  
-  logger.info(`Device registered via HTTP: ${deviceId} (${model} ${version})`);
-  res.json({ success: true, message: 'Device registered successfully' });
 });
 
-// Update dashcam status
-app.post('/api/dashcams/:deviceId/status', (req, res) => {
-  const { deviceId } = req.params;
-  const { status, batteryLevel, storageAvailable, jt808Enabled } = req.body;
-  
-  const dashcam = dashcamData.get(deviceId);
-  if (!dashcam) {
-    return res.status(404).json({ error: 'Dashcam not found' });
+// Set the global speed rule
+app.put('/api/speed-rules/global', requirePermission('manage', { platform: true }), (req, res) => {
+  const rule = toSpeedRule(req.body, speedRules.global);
+  const error = validateSpeedRule(rule);
+  if (error) {
+    return res.status(400).json({ error });
   }
   
-  dashcam.status = status || dashcam.status;
-  dashcam.lastSeen = new Date();
-  dashcam.batteryLevel = batteryLevel;
-  dashcam.storageAvailable = storageAvailable;
-  dashcam.jt808Enabled = jt808Enabled || dashcam.jt808Enabled;
-  
-  // Emit Socket.IO event for UI to see status update
-  io.emit('device_status', {
-    deviceId,
-    status: dashcam.status,
-    batteryLevel: dashcam.batteryLevel,
-    storageAvailable: dashcam.storageAvailable,
-    jt808Enabled: dashcam.jt808Enabled,
-    lastSeen: dashcam.lastSeen
-  });
+  speedRules.global = rule;
+  saveSpeedRules();
   
-  logger.info(`Status update: ${deviceId} - ${status}`);
-  saveDashcamData(); // Persist status update
-  res.json({ success: true });
+  logger.info(`Global speed rule set: ${rule.limit} km/h for ${rule.minDuration}s`);
+  res.json({ success: true, rule });
 });
 
-// Get commands for device (polling)
-app.get('/api/dashcams/:deviceId/commands', (req, res) => {
+// Set the speed rule of a device
+app.put('/api/speed-rules/devices/:deviceId', requirePermission('manage'), (req, res) => {
   const { deviceId } = req.params;
-  logger.info(`[DEBUG] GET /api/dashcams/${deviceId}/commands - Device polling for commands`);
-  
-  const dashcam = dashcamData.get(deviceId);
-  if (!dashcam) {
-    logger.warn(`[DEBUG] Device ${deviceId} not found during command polling`);
-    return res.status(404).json({ error: 'Dashcam not found' });
-  }
-  
-  // Initialize pendingCommands if it doesn't exist
-  if (!dashcam.pendingCommands) {
-    dashcam.pendingCommands = [];
+  if (!dashcamData.get(deviceId)) {
+    return res.status(404).json({ error: 'Device not found', deviceId });
   }
   
-  // Clean up old commands (older than 10 minutes instead of 5)
-  const now = new Date();
-  const tenMinutesAgo = new Date(now.getTime() - 10 * 60 * 1000);
-  const beforeCount = dashcam.pendingCommands.length;
-  dashcam.pendingCommands = dashcam.pendingCommands.filter(cmd => 
-    new Date(cmd.timestamp) > tenMinutesAgo
-  );
-  const afterCount = dashcam.pendingCommands.length;
-  if (beforeCount !== afterCount) {
-    logger.info(`[DEBUG] Cleaned up ${beforeCount - afterCount} old commands for device ${deviceId}`);
+  const rule = toSpeedRule(req.body, speedRules.devices[deviceId]);
+  const error = validateSpeedRule(rule);
+  if (error) {
+    return res.status(400).json({ error });
   }
   
-  // Return only pending commands (not sent ones)
-  const pendingCommands = dashcam.pendingCommands.filter(cmd => cmd.status === 'pending');
-  
-  // Mark commands as sent but don't clear them yet
-  pendingCommands.forEach(cmd => {
-    cmd.status = 'sent';
-    cmd.sentAt = new Date();
-  });
-  
-  logger.info(`[DEBUG] Returning ${pendingCommands.length} pending commands to device ${deviceId}`);
-  logger.info(`[DEBUG] Total commands in queue: ${dashcam.pendingCommands.length}`);
+  speedRules.devices[deviceId] = rule;
+  saveSpeedRules(deviceId);
   
-  res.json({ commands: pendingCommands });
+  logger.info(`Speed rule set for ${deviceId}: ${rule.limit} km/h for ${rule.minDuration}s`);
+  res.json({ success: true, deviceId, rule });
 });
 
-// Debug endpoint to reset command status
-app.post('/api/dashcams/:deviceId/commands/reset', (req, res) => {
+// Remove the speed rule of a device
+app.delete('/api/speed-rules/devices/:deviceId', requirePermission('manage'), (req, res) => {
   const { deviceId } = req.params;
-  logger.info(`[DEBUG] POST /api/dashcams/${deviceId}/commands/reset - Resetting command status`);
-  
-  const dashcam = dashcamData.get(deviceId);
-  if (!dashcam) {
-    return res.status(404).json({ error: 'Dashcam not found' });
+  if (!speedRules.devices[deviceId]) {
+    return res.status(404).json({ error: 'No speed rule for this device' });
   }
   
-  if (dashcam.pendingCommands) {
-    let resetCount = 0;
-    dashcam.pendingCommands.forEach(cmd => {
-      if (cmd.status === 'sent') {
-        cmd.status = 'pending';
-        delete cmd.sentAt;
-        resetCount++;
-      }
-    });
-    logger.info(`[DEBUG] Reset ${resetCount} commands to pending status for device ${deviceId}`);
-  }
+  delete speedRules.devices[deviceId];
+  saveSpeedRules(deviceId);
   
-  res.json({ 
-    success: true, 
-    message: `Reset commands for device ${deviceId}`,
-    pendingCommands: dashcam.pendingCommands ? dashcam.pendingCommands.filter(cmd => cmd.status === 'pending').length : 0
-  });
+  logger.info(`Speed rule removed for ${deviceId}`);
+  res.json({ success: true, message: 'Speed rule removed successfully' });
 });
 
-// Send command to device via HTTP (UI fallback)
-app.post('/api/dashcams/:deviceId/commands', (req, res) => {
+// Get server-detected speed violations for a device
+app.get('/api/dashcams/:deviceId/speed-violations', requirePermission('view'), (req, res) => {
   const { deviceId } = req.params;
-  const { command, parameters } = req.body;
-  
-  logger.info(`[DEBUG] POST /api/dashcams/${deviceId}/commands - Command: ${command}`);
-  
   const dashcam = dashcamData.get(deviceId);
+  
   if (!dashcam) {
-    return res.status(404).json({ error: 'Dashcam not found' });
+    return res.status(404).json({ 
+      error: 'Device not found',
+      deviceId 
+    });
   }
   
-  // Check for duplicate commands (within last 5 seconds)
-  const now = new Date();
-  const fiveSecondsAgo = new Date(now.getTime() - 5000);
+  const violations = (dashcam.events || [])
+    .filter(event => event.type === 'jt808_alert' && event.data.source === 'speed_rule')
+    .map(event => ({ alertId: event.data.id, ...event.data.violation }));
   
-  if (dashcam.pendingCommands) {
-    const recentCommands = dashcam.pendingCommands.filter(cmd => 
-      cmd.command === command && 
-      new Date(cmd.timestamp) > fiveSecondsAgo
-    );
-    
-    if (recentCommands.length > 0) {
-      logger.info(`[DEBUG] Duplicate command ${command} ignored for device ${deviceId}`);
-      return res.json({ 
-        success: true, 
-        message: `Command '${command}' already queued (duplicate ignored)`,
-        commandId: recentCommands[0].id
-      });
-    }
-  }
+  res.json({ deviceId, violations });
+});
+
+// Operator login; sets the session cookie and also returns the token for API clients
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  const operator = findOperatorByUsername(username);
   
-  // Store command for device to pick up
-  if (!dashcam.pendingCommands) {
-    dashcam.pendingCommands = [];
+  if (!operator || operator.disabled || !verifyPassword(password, operator.passwordHash)) {
+    logger.warn(`Failed operator login for '${username}' from ${req.ip}`);
+    return res.status(401).json({ error: 'Invalid username or password' });
   }
   
-  const commandData = {
-    id: Date.now().toString(),
-    command: command,
-    parameters: parameters || {},
-    timestamp: new Date(),
-    status: 'pending'
-  };
-  
-  dashcam.pendingCommands.push(commandData);
+  const { token, expiresAt } = createOperatorSession(operator);
+  operator.lastLoginAt = new Date();
+  saveOperators(operator.id);
   
-  // Emit Socket.IO event if available
-  io.emit('command_sent', {
-    deviceId,
-    command: commandData
+  res.cookie(OPERATOR_SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    expires: expiresAt
   });
   
-  res.json({ 
-    success: true, 
-    message: `Command '${command}' queued for device`,
-    commandId: commandData.id
-  });
+  logger.info(`Operator logged in: ${operator.username} (${operator.role})`);
+  res.json({ success: true, token, expiresAt, operator: formatOperator(operator) });
 });
 
-// Dummy events endpoint to prevent dashboard errors
-app.get('/api/events', (req, res) => {
-  res.json({ events: [] });
+// End the current session
+app.post('/api/auth/logout', (req, res) => {
+  const token = getRequestOperatorToken(req);
+  if (token && token.startsWith('ses_')) {
+    deleteOperatorSessions([hashSecret(token)]);
+  }
+  res.clearCookie(OPERATOR_SESSION_COOKIE);
+  res.json({ success: true });
 });
 
-// Add missing endpoints that the Android app expects
+// Current operator
+app.get('/api/auth/me', requirePermission('view'), (req, res) => {
+  res.json({
+    operator: formatOperator(req.operator),
+    permissions: OPERATOR_ROLES[req.operator.role]
+  });
+});
 
-// Media upload endpoint
-app.post('/api/dashcams/:deviceId/media', upload.single('media'), (req, res) => {
-  const { deviceId } = req.params;
-  const { eventType, type } = req.body;
-  
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+// An operator the requesting admin may manage: platform admins manage everyone, others their organization
+function getManagedOperator(req) {
+  const operator = operators.get(req.params.operatorId);
+  if (!operator || !canAccessOrganization(req.operator, operator.organizationId)) {
+    return null;
+  }
+  return operator;
+}
+
+// List operators
+app.get('/api/operators', requirePermission('manage'), (req, res) => {
+  const list = Array.from(operators.values())
+    .filter(operator => canAccessOrganization(req.operator, operator.organizationId));
+  res.json({ operators: list.map(formatOperator) });
+});
+
+// Create operator
+app.post('/api/operators', requirePermission('manage'), (req, res) => {
+  const error = validateOperator(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (findOperatorByUsername(req.body.username)) {
+    return res.status(409).json({ error: 'Username already exists' });
   }
   
-  const mediaFile = {
-    id: uuidv4(),
-    deviceId,
-    filename: req.file.filename,
-    originalName: req.file.originalname,
-    path: req.file.path,
-    size: req.file.size,
-    mimetype: req.file.mimetype,
-    eventType: eventType || 'manual',
-    type: type || 'unknown',
-    uploadedAt: new Date()
-  };
-  
-  // Store in appropriate category
-  if (req.file.mimetype.startsWith('image/')) {
-    mediaFiles.images.push(mediaFile);
-  } else if (req.file.mimetype.startsWith('video/')) {
-    mediaFiles.videos.push(mediaFile);
-  } else if (req.file.mimetype.startsWith('audio/')) {
-    mediaFiles.audio.push(mediaFile);
+  // Platform admins may create other platform operators with organizationId: null
+  const organizationId = req.body.organizationId === null && isPlatformOperator(req.operator)
+    ? null
+    : resolveOrganizationId(req.operator, req.body.organizationId);
+  if (organizationId && !organizations.has(organizationId)) {
+    return res.status(400).json({ error: 'Unknown organizationId' });
   }
   
-  logger.info(`Media uploaded: ${deviceId} - ${req.file.originalname} (${req.file.size} bytes)`);
-  res.json({ 
-    success: true, 
-    message: 'Media uploaded successfully',
-    fileId: mediaFile.id,
-    filename: mediaFile.filename
-  });
+  const operator = createOperator({ ...req.body, organizationId });
+  logger.info(`Operator created: ${operator.username} (${operator.role}) by ${req.operator.username}`);
+  res.status(201).json({ success: true, operator: formatOperator(operator) });
 });
 
-// Photo upload endpoint
-app.post('/api/dashcams/:deviceId/photo', upload.single('photo'), (req, res) => {
-  try {
-    const { deviceId } = req.params;
-    const { eventType } = req.body;
-    
-    logger.info(`[PHOTO UPLOAD] Received photo upload request for device: ${deviceId}`);
-    logger.info(`[PHOTO UPLOAD] Request body: ${JSON.stringify(req.body)}`);
-    logger.info(`[PHOTO UPLOAD] Request file: ${req.file ? 'Present' : 'Missing'}`);
-    
-    if (!req.file) {
-      logger.error(`[PHOTO UPLOAD] No photo uploaded for device: ${deviceId}`);
-      return res.status(400).json({ error: 'No photo uploaded' });
+// Update operator role, password or disabled flag
+app.put('/api/operators/:operatorId', requirePermission('manage'), (req, res) => {
+  const operator = getManagedOperator(req);
+  if (!operator) {
+    return res.status(404).json({ error: 'Operator not found' });
+  }
+  
+  const { role, password, disabled, organizationId } = req.body;
+  const error = validateOperator({ role, password }, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (operator.id === req.operator.id && ((role && role !== 'admin') || disabled || organizationId !== undefined)) {
+    return res.status(400).json({ error: 'You cannot demote, disable or move yourself' });
+  }
+  
+  // Moving an operator between organizations is reserved to platform admins
+  const moved = organizationId !== undefined && organizationId !== operator.organizationId;
+  if (moved) {
+    if (!isPlatformOperator(req.operator)) {
+      return res.status(403).json({ error: 'Only platform operators can move operators between organizations' });
     }
-    
-    logger.info(`[PHOTO UPLOAD] File details: ${req.file.originalname}, size: ${req.file.size}, mimetype: ${req.file.mimetype}`);
-    
-    const photoFile = {
-      id: uuidv4(),
-      deviceId,
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      path: req.file.path,
-      size: req.file.size,
-      mimetype: req.file.mimetype,
-      eventType: eventType || 'manual',
-      uploadedAt: new Date()
-    };
-    
-    mediaFiles.images.push(photoFile);
-    
-    logger.info(`[PHOTO UPLOAD] Photo uploaded successfully: ${deviceId} - ${req.file.originalname}`);
-    res.json({ 
-      success: true, 
-      message: 'Photo uploaded successfully',
-      fileId: photoFile.id
-    });
-  } catch (error) {
-    logger.error(`[PHOTO UPLOAD] Error processing photo upload: ${error.message}`, error);
-    res.status(500).json({ 
-      error: 'Internal server error during photo upload',
-      details: error.message 
-    });
+    if (organizationId !== null && !organizations.has(organizationId)) {
+      return res.status(400).json({ error: 'Unknown organizationId' });
+    }
+    operator.organizationId = organizationId;
   }
-});
-
-// Video upload endpoint
-app.post('/api/dashcams/:deviceId/video', upload.single('video'), (req, res) => {
-  const { deviceId } = req.params;
-  const { eventType } = req.body;
   
-  if (!req.file) {
-    return res.status(400).json({ error: 'No video uploaded' });
+  if (role) operator.role = role;
+  if (password) operator.passwordHash = hashPassword(password);
+  if (disabled !== undefined) operator.disabled = Boolean(disabled);
+  
+  // Sign the operator out everywhere when their access is cut or their password changes;
+  // a moved operator's dashboards reconnect into the new organization's room
+  if (operator.disabled || password) {
+    endOperatorSessions(operator.id);
   }
+  if (operator.disabled || moved) {
+    disconnectOperatorSockets(operator.id);
+  }
+  saveOperators(operator.id);
   
-  const videoFile = {
-    id: uuidv4(),
-    deviceId,
-    filename: req.file.filename,
-    originalName: req.file.originalname,
-    path: req.file.path,
-    size: req.file.size,
-    eventType: eventType || 'manual',
-    uploadedAt: new Date()
-  };
+  logger.info(`Operator updated: ${operator.username} by ${req.operator.username}`);
+  res.json({ success: true, operator: formatOperator(operator) });
+});
+
+// Delete operator
+app.delete('/api/operators/:operatorId', requirePermission('manage'), (req, res) => {
+  const operator = getManagedOperator(req);
+  if (!operator) {
+    return res.status(404).json({ error: 'Operator not found' });
+  }
+  if (operator.id === req.operator.id) {
+    return res.status(400).json({ error: 'You cannot delete yourself' });
+  }
   
-  mediaFiles.videos.push(videoFile);
+  operators.delete(operator.id);
+  endOperatorSessions(operator.id);
+  disconnectOperatorSockets(operator.id);
+  saveOperators(operator.id);
   
-  logger.info(`Video uploaded: ${deviceId} - ${req.file.originalname}`);
-  res.json({ 
-    success: true, 
-    message: 'Video uploaded successfully',
-    fileId: videoFile.id
-  });
+  logger.info(`Operator deleted: ${operator.username} by ${req.operator.username}`);
+  res.json({ success: true });
 });
 
-// Events endpoint
-app.post('/api/dashcams/:deviceId/events', (req, res) => {
-  const { deviceId } = req.params;
-  const { eventType, description } = req.body;
+// Create an API token; operators manage their own tokens, admins anyone's
+app.post('/api/operators/:operatorId/tokens', requirePermission('view'), (req, res) => {
+  const operator = getManagedOperator(req);
+  if (!operator) {
+    return res.status(404).json({ error: 'Operator not found' });
+  }
+  if (operator.id !== req.operator.id && !operatorCan(req.operator, 'manage')) {
+    return res.status(403).json({ error: 'You can only create tokens for yourself' });
+  }
   
-  const event = {
+  const token = `opk_${crypto.randomBytes(32).toString('hex')}`;
+  const apiToken = {
     id: uuidv4(),
-    deviceId,
-    eventType,
-    description,
-    timestamp: new Date()
+    name: req.body.name || 'API token',
+    tokenHash: hashSecret(token),
+    createdAt: new Date(),
+    lastUsedAt: null
   };
+  if (!operator.apiTokens) {
+    operator.apiTokens = [];
+  }
+  operator.apiTokens.push(apiToken);
+  saveOperators(operator.id);
   
-  eventLog.push(event);
+  logger.info(`API token '${apiToken.name}' created for operator ${operator.username}`);
+  const { tokenHash, ...details } = apiToken;
+  res.status(201).json({ success: true, token, apiToken: details });
+});
+
+// Revoke an API token
+app.delete('/api/operators/:operatorId/tokens/:tokenId', requirePermission('view'), (req, res) => {
+  const operator = getManagedOperator(req);
+  if (!operator) {
+    return res.status(404).json({ error: 'Operator not found' });
+  }
+  if (operator.id !== req.operator.id && !operatorCan(req.operator, 'manage')) {
+    return res.status(403).json({ error: 'You can only revoke your own tokens' });
+  }
   
-  // Update dashcam events
-  const dashcam = dashcamData.get(deviceId);
-  if (dashcam) {
-    dashcam.events.push(event);
-    dashcam.lastSeen = new Date();
+  const before = (operator.apiTokens || []).length;
+  operator.apiTokens = (operator.apiTokens || []).filter(token => token.id !== req.params.tokenId);
+  if (operator.apiTokens.length === before) {
+    return res.status(404).json({ error: 'Token not found' });
   }
+  saveOperators(operator.id);
   
-  logger.info(`Event logged: ${deviceId} - ${eventType}: ${description}`);
-  res.json({ 
-    success: true, 
-    message: 'Event logged successfully',
-    eventId: event.id
-  });
+  logger.info(`API token ${req.params.tokenId} revoked for operator ${operator.username}`);
+  res.json({ success: true });
+});
+
+// List organizations; non-platform operators see their own
+app.get('/api/organizations', requirePermission('view'), (req, res) => {
+  const list = Array.from(organizations.values())
+    .filter(organization => canAccessOrganization(req.operator, organization.id));
+  res.json({ organizations: list.map(formatOrganization) });
 });
 
-// Location endpoint
-app.post('/api/dashcams/:deviceId/location', (req, res) => {
-  const { deviceId } = req.params;
-  const { latitude, longitude, altitude, speed, bearing, accuracy, timestamp } = req.body;
+// Create an organization; devices registering with its provisioning code join it
+app.post('/api/organizations', requirePermission('manage', { platform: true }), (req, res) => {
+  const { name, provisioningCode } = req.body;
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  if (provisioningCode && findOrganizationByProvisioningCode(provisioningCode)) {
+    return res.status(409).json({ error: 'Provisioning code is already in use' });
+  }
   
-  const location = {
-    latitude: parseFloat(latitude),
-    longitude: parseFloat(longitude),
-    altitude: parseFloat(altitude) || 0,
-    speed: parseFloat(speed) || 0,
-    bearing: parseFloat(bearing) || 0,
-    accuracy: parseFloat(accuracy) || 0,
-    timestamp: timestamp || new Date()
+  const organization = {
+    id: uuidv4(),
+    name,
+    provisioningCodeHash: provisioningCode ? hashSecret(provisioningCode) : null,
+    createdAt: new Date()
   };
+  organizations.set(organization.id, organization);
+  saveOrganizations(organization.id);
   
-  // Get or create dashcam entry
-  let dashcam = dashcamData.get(deviceId);
-  if (!dashcam) {
-    // Auto-register device if it doesn't exist
-    dashcam = {
-      deviceId,
-      model: 'Unknown',
-      version: '1.0',
-      status: 'online',
-      lastSeen: new Date(),
-      registeredAt: new Date(),
-      location: null,
-      events: [],
-      jt808Enabled: false
-    };
-    dashcamData.set(deviceId, dashcam);
-    logger.info(`Auto-registered device: ${deviceId} via location update`);
+  logger.info(`Organization created: ${organization.id} (${name})`);
+  res.status(201).json({ success: true, organization: formatOrganization(organization) });
+});
+
+// Rename an organization or change its provisioning code (null removes it)
+app.put('/api/organizations/:organizationId', requirePermission('manage', { platform: true }), (req, res) => {
+  const organization = organizations.get(req.params.organizationId);
+  if (!organization) {
+    return res.status(404).json({ error: 'Organization not found' });
   }
   
-  // Update dashcam location
-    dashcam.location = location;
-    dashcam.lastSeen = new Date();
-  saveDashcamData(); // Persist location update
+  const { name, provisioningCode } = req.body;
+  if (provisioningCode) {
+    const owner = findOrganizationByProvisioningCode(provisioningCode);
+    if (owner && owner.id !== organization.id) {
+      return res.status(409).json({ error: 'Provisioning code is already in use' });
+    }
+  }
   
-  // Emit Socket.IO event for UI to see location update
-  io.emit('location_update', {
-    deviceId,
-    location: location,
-    timestamp: new Date()
-  });
+  if (name) organization.name = name;
+  if (provisioningCode !== undefined) {
+    organization.provisioningCodeHash = provisioningCode ? hashSecret(provisioningCode) : null;
+  }
+  saveOrganizations(organization.id);
   
-  // Store JT808 data
-  if (!dashcam.jt808Data) {
-    dashcam.jt808Data = [];
+  res.json({ success: true, organization: formatOrganization(organization) });
+});
+
+// Delete an empty organization
+app.delete('/api/organizations/:organizationId', requirePermission('manage', { platform: true }), (req, res) => {
+  const { organizationId } = req.params;
+  if (!organizations.has(organizationId)) {
+    return res.status(404).json({ error: 'Organization not found' });
+  }
+  if (organizationId === DEFAULT_ORGANIZATION_ID) {
+    return res.status(400).json({ error: 'The default organization cannot be deleted' });
+  }
+  const inUse = Array.from(dashcamData.values()).some(dashcam => dashcam.organizationId === organizationId) ||
+    Array.from(operators.values()).some(operator => operator.organizationId === organizationId);
+  if (inUse) {
+    return res.status(409).json({ error: 'Move or delete its devices and operators first' });
   }
-  dashcam.jt808Data.push({
-    type: 'location',
-    data: location,
-    timestamp: new Date()
-  });
   
-  logger.info(`Location update: ${deviceId} - ${latitude}, ${longitude}`);
-  res.json({ 
-    success: true, 
-    message: 'Location updated successfully'
-  });
+  const groupIds = Array.from(groups.values())
+    .filter(group => group.organizationId === organizationId).map(group => group.id);
+  const geofenceIds = Array.from(geofences.values())
+    .filter(geofence => geofence.organizationId === organizationId).map(geofence => geofence.id);
+  organizations.delete(organizationId);
+  groupIds.forEach(groupId => groups.delete(groupId));
+  geofenceIds.forEach(geofenceId => geofences.delete(geofenceId));
+  saveOrganizations(organizationId);
+  saveGroups(groupIds);
+  saveGeofences(geofenceIds);
+  
+  logger.info(`Organization deleted: ${organizationId}`);
+  res.json({ success: true });
 });
 
-// Heartbeat endpoint
-app.post('/api/dashcams/:deviceId/heartbeat', (req, res) => {
+// Move a device to another organization
+app.put('/api/dashcams/:deviceId/organization', requirePermission('manage', { platform: true }), (req, res) => {
   const { deviceId } = req.params;
-  const { batteryLevel, storageAvailable } = req.body;
-  
+  const { organizationId } = req.body;
   const dashcam = dashcamData.get(deviceId);
-  if (dashcam) {
-    dashcam.lastSeen = new Date();
-    dashcam.batteryLevel = batteryLevel;
-    dashcam.storageAvailable = storageAvailable;
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Device not found', deviceId });
+  }
+  if (!organizations.has(organizationId)) {
+    return res.status(400).json({ error: 'Unknown organizationId' });
   }
   
-  logger.debug(`Heartbeat: ${deviceId}`);
-  res.json({ 
-    success: true, 
-    message: 'Heartbeat received'
-  });
+  // Groups and geofences are per organization, so the device leaves its old ones
+  dashcam.organizationId = organizationId;
+  dashcam.geofencesInside = [];
+  const changedGroups = [];
+  for (const group of groups.values()) {
+    if (group.organizationId !== organizationId && group.deviceIds.includes(deviceId)) {
+      group.deviceIds = group.deviceIds.filter(id => id !== deviceId);
+      changedGroups.push(group.id);
+    }
+  }
+  if (changedGroups.length > 0) saveGroups(changedGroups);
+  saveDashcamData(deviceId);
+  
+  logger.info(`Device ${deviceId} moved to organization ${organizationId}`);
+  res.json({ success: true, deviceId, organizationId });
 });
 
-// Get media files for a device
-app.get('/api/dashcams/:deviceId/media', (req, res) => {
+// Replace a device's tags
+app.put('/api/dashcams/:deviceId/tags', requirePermission('manage'), (req, res) => {
   const { deviceId } = req.params;
-  const { type } = req.query;
-  
-  let files = [];
-  if (type === 'images' || type === 'photos') {
-    files = mediaFiles.images.filter(f => f.deviceId === deviceId);
-  } else if (type === 'videos') {
-    files = mediaFiles.videos.filter(f => f.deviceId === deviceId);
-  } else if (type === 'audio') {
-    files = mediaFiles.audio.filter(f => f.deviceId === deviceId);
-  } else {
-    files = [
-      ...mediaFiles.images.filter(f => f.deviceId === deviceId),
-      ...mediaFiles.videos.filter(f => f.deviceId === deviceId),
-      ...mediaFiles.audio.filter(f => f.deviceId === deviceId)
-    ];
+  const dashcam = dashcamData.get(deviceId);
+  if (!dashcam) {
+    return res.status(404).json({ error: 'Device not found', deviceId });
+  }
+  if (!Array.isArray(req.body.tags)) {
+    return res.status(400).json({ error: 'tags must be an array of strings' });
   }
   
-  res.json({ 
-    deviceId,
-    files: files.map(f => ({
-      id: f.id,
-      filename: f.filename,
-      originalName: f.originalName,
-      size: f.size,
-      mimetype: f.mimetype,
-      eventType: f.eventType,
-      uploadedAt: f.uploadedAt
-    }))
-  });
+  dashcam.tags = normalizeTags(req.body.tags);
+  saveDashcamData(deviceId);
+  res.json({ success: true, deviceId, tags: dashcam.tags });
 });
 
-// Get events for a device
-app.get('/api/dashcams/:deviceId/events', (req, res) => {
-  const { deviceId } = req.params;
-  const deviceEvents = eventLog.filter(e => e.deviceId === deviceId);
+// List device groups (?organizationId= for platform operators)
+app.get('/api/groups', requirePermission('view'), (req, res) => {
+  const { organizationId } = req.query;
+  const list = Array.from(groups.values())
+    .filter(group => canAccessOrganization(req.operator, group.organizationId) &&
+      (!organizationId || group.organizationId === organizationId));
+  res.json({ groups: list });
+});
+
+// Get a device group
+app.get('/api/groups/:groupId', requirePermission('view'), (req, res) => {
+  const group = groups.get(req.params.groupId);
+  if (!group || !canAccessOrganization(req.operator, group.organizationId)) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
+  res.json(group);
+});
+
+// Create a device group
+app.post('/api/groups', requirePermission('manage'), (req, res) => {
+  const { name, description, deviceIds } = req.body;
+  const group = {
+    id: uuidv4(),
+    organizationId: resolveOrganizationId(req.operator, req.body.organizationId),
+    name,
+    description: description || '',
+    deviceIds: Array.isArray(deviceIds) ? Array.from(new Set(deviceIds.map(String))) : [],
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+  const error = validateGroup(group);
+  if (error) {
+    return res.status(400).json({ error });
+  }
   
-  res.json({ 
-    deviceId,
-    events: deviceEvents
-  });
+  groups.set(group.id, group);
+  saveGroups(group.id);
+  
+  logger.info(`Device group created: ${group.id} (${group.name}, ${group.deviceIds.length} devices)`);
+  res.status(201).json({ success: true, group });
 });
 
-// Get current location for a device
-app.get('/api/dashcams/:deviceId/location', (req, res) => {
-  const { deviceId } = req.params;
-  const dashcam = dashcamData.get(deviceId);
+// Update a device group
+app.put('/api/groups/:groupId', requirePermission('manage'), (req, res) => {
+  const existing = groups.get(req.params.groupId);
+  if (!existing || !canAccessOrganization(req.operator, existing.organizationId)) {
+    return res.status(404).json({ error: 'Group not found' });
+  }
   
-  if (!dashcam) {
-    return res.status(404).json({ 
-      error: 'Device not found',
-      deviceId 
-    });
+  const { name, description, deviceIds } = req.body;
+  const group = {
+    ...existing,
+    name: name !== undefined ? name : existing.name,
+    description: description !== undefined ? description : existing.description,
+    deviceIds: Array.isArray(deviceIds) ? Array.from(new Set(deviceIds.map(String))) : existing.deviceIds,
+    updatedAt: new Date()
+  };
+  const error = validateGroup(group);
+  if (error) {
+    return res.status(400).json({ error });
   }
   
-  if (!dashcam.location) {
-    return res.status(404).json({ 
-      error: 'No location data available for this device',
-      deviceId 
-    });
+  groups.set(group.id, group);
+  saveGroups(group.id);
+  res.json({ success: true, group });
+});
+
+// Delete a device group
+app.delete('/api/groups/:groupId', requirePermission('manage'), (req, res) => {
+  const group = groups.get(req.params.groupId);
+  if (!group || !canAccessOrganization(req.operator, group.organizationId)) {
+    return res.status(404).json({ error: 'Group not found' });
   }
   
-  res.json({ 
-    deviceId,
-    location: dashcam.location,
-    lastSeen: dashcam.lastSeen,
-    status: dashcam.status
-  });
+  groups.delete(group.id);
+  saveGroups(group.id);
+  
+  logger.info(`Device group deleted: ${group.id}`);
+  res.json({ success: true });
 });
 
 // Health check endpoint
@@ -1056,26 +6675,98 @@ app.get('/health', (req, res) => {
   });
 });
 
-// JT808 Location endpoint
-app.post('/api/dashcams/:deviceId/jt808/location', (req, res) => {
-  const { deviceId } = req.params;
-  const { latitude, longitude, altitude, speed, bearing, warnBit, statusBit, timestamp } = req.body;
-  
-  const location = {
-    latitude: parseFloat(latitude),
-    longitude: parseFloat(longitude),
-    altitude: parseFloat(altitude) || 0,
-    speed: parseFloat(speed) || 0,
-    bearing: parseFloat(bearing) || 0,
-    warnBit: parseInt(warnBit) || 0,
-    statusBit: parseInt(statusBit) || 0,
-    timestamp: timestamp || new Date()
+// JT808 alarm flag bits (JT/T 808 table 24)
+const JT808_ALARM_FLAGS = [
+  { bit: 0, name: 'emergency', label: 'Emergency alarm' },
+  { bit: 1, name: 'overspeed', label: 'Overspeed alarm' },
+  { bit: 2, name: 'fatigue', label: 'Fatigue driving alarm' },
+  { bit: 3, name: 'danger_warning', label: 'Danger warning' },
+  { bit: 4, name: 'gnss_fault', label: 'GNSS module fault' },
+  { bit: 5, name: 'gnss_antenna_disconnected', label: 'GNSS antenna disconnected' },
+  { bit: 6, name: 'gnss_antenna_short', label: 'GNSS antenna short circuit' },
+  { bit: 7, name: 'power_undervoltage', label: 'Main power undervoltage' },
+  { bit: 8, name: 'power_cut', label: 'Main power cut' },
+  { bit: 9, name: 'display_fault', label: 'Display fault' },
+  { bit: 10, name: 'tts_fault', label: 'TTS module fault' },
+  { bit: 11, name: 'camera_fault', label: 'Camera fault' },
+  { bit: 12, name: 'ic_card_fault', label: 'IC card module fault' },
+  { bit: 13, name: 'overspeed_warning', label: 'Overspeed warning' },
+  { bit: 14, name: 'fatigue_warning', label: 'Fatigue driving warning' },
+  { bit: 18, name: 'driving_overtime', label: 'Cumulative driving overtime today' },
+  { bit: 19, name: 'parking_overtime', label: 'Parking overtime' },
+  { bit: 20, name: 'area_entry_exit', label: 'Area entry/exit' },
+  { bit: 21, name: 'route_entry_exit', label: 'Route entry/exit' },
+  { bit: 22, name: 'route_time_abnormal', label: 'Route driving time too short/long' },
+  { bit: 23, name: 'route_deviation', label: 'Route deviation' },
+  { bit: 24, name: 'vss_fault', label: 'Vehicle VSS fault' },
+  { bit: 25, name: 'fuel_abnormal', label: 'Abnormal fuel level' },
+  { bit: 26, name: 'vehicle_stolen', label: 'Vehicle stolen' },
+  { bit: 27, name: 'illegal_ignition', label: 'Illegal ignition' },
+  { bit: 28, name: 'illegal_displacement', label: 'Illegal displacement' },
+  { bit: 29, name: 'collision', label: 'Collision warning' },
+  { bit: 30, name: 'rollover', label: 'Rollover warning' },
+  { bit: 31, name: 'illegal_door_open', label: 'Illegal door open' }
+];
+
+// JT808 status flag bits (JT/T 808 table 25); bits 8-9 carry the load status
+const JT808_STATUS_FLAGS = [
+  { bit: 0, name: 'accOn' },
+  { bit: 1, name: 'positioned' },
+  { bit: 2, name: 'southLatitude' },
+  { bit: 3, name: 'westLongitude' },
+  { bit: 4, name: 'outOfService' },
+  { bit: 5, name: 'coordinatesEncrypted' },
+  { bit: 10, name: 'oilCircuitCut' },
+  { bit: 11, name: 'electricCircuitCut' },
+  { bit: 12, name: 'doorLocked' },
+  { bit: 13, name: 'frontDoorOpen' },
+  { bit: 14, name: 'middleDoorOpen' },
+  { bit: 15, name: 'rearDoorOpen' },
+  { bit: 16, name: 'driverDoorOpen' },
+  { bit: 17, name: 'door5Open' },
+  { bit: 18, name: 'gpsUsed' },
+  { bit: 19, name: 'beidouUsed' },
+  { bit: 20, name: 'glonassUsed' },
+  { bit: 21, name: 'galileoUsed' }
+];
+
+const JT808_LOAD_STATUS = ['empty', 'half_load', 'reserved', 'full_load'];
+
+// Names and labels of the alarm bits set in a JT808 warnBit
+function decodeJt808Alarms(warnBit) {
+  return JT808_ALARM_FLAGS
+    .filter(flag => (warnBit >>> flag.bit) & 1)
+    .map(({ name, label }) => ({ name, label }));
+}
+
+// Named status flags from a JT808 statusBit
+function decodeJt808Status(statusBit) {
+  const status = {};
+  for (const flag of JT808_STATUS_FLAGS) {
+    status[flag.name] = ((statusBit >>> flag.bit) & 1) === 1;
+  }
+  status.loadStatus = JT808_LOAD_STATUS[(statusBit >>> 8) & 0x03];
+  return status;
+}
+
+// Attach decoded alarm and status flags to a JT808 location or alert
+function withJt808Flags(data) {
+  return {
+    ...data,
+    alarms: decodeJt808Alarms(data.warnBit || 0),
+    status: decodeJt808Status(data.statusBit || 0)
   };
-  
-  // Get or create dashcam entry
+}
+
+// Get a dashcam entry, auto-registering devices that report in before registering
+// when DEVICE_AUTO_REGISTER allows it for the channel; returns null otherwise
+function getOrRegisterDashcam(deviceId, { jt808Enabled = false, source = 'location update', channel = 'http' } = {}) {
   let dashcam = dashcamData.get(deviceId);
   if (!dashcam) {
-    // Auto-register device if it doesn't exist
+    if (!canAutoRegister(channel)) {
+      logger.warn(`Refused to auto-register unknown device ${deviceId} via ${source} (policy: ${DEVICE_AUTO_REGISTER})`);
+      return null;
+    }
     dashcam = {
       deviceId,
       model: 'Unknown',
@@ -1085,127 +6776,196 @@ app.post('/api/dashcams/:deviceId/jt808/location', (req, res) => {
       registeredAt: new Date(),
       location: null,
       events: [],
-      jt808Enabled: true
+      jt808Enabled,
+      organizationId: DEFAULT_ORGANIZATION_ID,
+      tags: []
     };
     dashcamData.set(deviceId, dashcam);
-    logger.info(`Auto-registered device: ${deviceId} via JT808 location update`);
+    logger.info(`Auto-registered device: ${deviceId} via ${source}`);
+  }
+  return dashcam;
+}
+
+// Apply a JT808 location report (HTTP or TCP gateway) to the device registry
+function recordJt808Location(deviceId, location, source) {
+  const dashcam = getOrRegisterDashcam(deviceId, { jt808Enabled: true, source });
+  if (!dashcam) {
+    return null;
   }
   
   // Update dashcam location
   dashcam.location = location;
   dashcam.lastSeen = new Date();
   dashcam.jt808Enabled = true;
+  processLocation(deviceId, location, source);
+  saveDashcamData(deviceId);
   
   // Emit Socket.IO event for UI to see location update
-  io.emit('location_update', {
+  emitToDashboards(deviceId, 'location_update', {
     deviceId,
     location: location,
     timestamp: new Date()
   });
   
   // Store JT808 data
-  if (!dashcam.jt808Data) {
-    dashcam.jt808Data = [];
-  }
-  dashcam.jt808Data.push({
+  pushJt808Data(dashcam, {
     type: 'location',
     data: location,
     timestamp: new Date()
   });
   
-  logger.info(`JT808 Location update: ${deviceId} - ${latitude}, ${longitude} (warnBit: ${warnBit}, statusBit: ${statusBit})`);
-  res.json({ 
-    success: true, 
-    message: 'JT808 location updated successfully'
-  });
-});
-
-// JT808 Alert endpoint
-app.post('/api/dashcams/:deviceId/jt808/alert', (req, res) => {
-  const { deviceId } = req.params;
-  const { alertType, warnBit, statusBit, latitude, longitude, altitude, speed, description, timestamp } = req.body;
-  
-  const alert = {
-    id: uuidv4(),
-    deviceId,
-    alertType: alertType || 'unknown',
-    warnBit: parseInt(warnBit) || 0,
-    statusBit: parseInt(statusBit) || 0,
-    location: {
-      latitude: parseFloat(latitude) || 0,
-      longitude: parseFloat(longitude) || 0,
-      altitude: parseFloat(altitude) || 0,
-      speed: parseFloat(speed) || 0
-    },
-    description: description || 'JT808 Alert',
-    timestamp: timestamp || new Date()
-  };
+  // Raise an alert when the report sets alarm bits that were clear in the previous report
+  const warnBit = location.warnBit || 0;
+  const raisedBits = (warnBit & ~(dashcam.jt808WarnBit || 0)) >>> 0;
+  dashcam.jt808WarnBit = warnBit;
+  if (raisedBits) {
+    const raised = decodeJt808Alarms(raisedBits);
+    logger.info(`JT808 alarm raised from location report: ${deviceId} (warnBit: ${warnBit}, new: ${raised.map(alarm => alarm.name).join(', ')})`);
+    recordJt808Alert(deviceId, {
+      id: uuidv4(),
+      deviceId,
+      alertType: raised.length > 0 ? raised[0].name : 'jt808_alarm',
+      warnBit,
+      statusBit: location.statusBit || 0,
+      location: {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        altitude: location.altitude,
+        speed: location.speed
+      },
+      description: raised.length > 0 ? raised.map(alarm => alarm.label).join(', ') : 'JT808 Alarm',
+      timestamp: location.timestamp
+    }, source);
+  }
   
-  // Get or create dashcam entry
-  let dashcam = dashcamData.get(deviceId);
+  return dashcam;
+}
+
+// Apply a JT808 alert (HTTP or TCP gateway) to the device registry and event log
+function recordJt808Alert(deviceId, rawAlert, source) {
+  const dashcam = getOrRegisterDashcam(deviceId, { jt808Enabled: true, source });
   if (!dashcam) {
-    // Auto-register device if it doesn't exist
-    dashcam = {
-      deviceId,
-      model: 'Unknown',
-      version: '1.0',
-      status: 'online',
-      lastSeen: new Date(),
-      registeredAt: new Date(),
-      location: null,
-      events: [],
-      jt808Enabled: true
-    };
-    dashcamData.set(deviceId, dashcam);
-    logger.info(`Auto-registered device: ${deviceId} via JT808 alert`);
+    return null;
   }
   
   // Update dashcam
   dashcam.lastSeen = new Date();
   dashcam.jt808Enabled = true;
+  saveDashcamData(deviceId);
+  
+  return recordAlert(deviceId, dashcam, rawAlert);
+}
+
+// Store an alert and notify clients through the jt808_alert pipeline; device-reported
+// and server-raised alerts (e.g. speed rules) share it
+function recordAlert(deviceId, dashcam, rawAlert) {
+  const alert = withJt808Flags(rawAlert);
   
   // Store JT808 data
-  if (!dashcam.jt808Data) {
-    dashcam.jt808Data = [];
-  }
-  dashcam.jt808Data.push({
+  pushJt808Data(dashcam, {
     type: 'alert',
     data: alert,
     timestamp: new Date()
   });
   
   // Add to events
+  if (!dashcam.events) {
+    dashcam.events = [];
+  }
   dashcam.events.push({
     type: 'jt808_alert',
     data: alert,
     timestamp: new Date()
   });
   
-  // Add to event log
-  eventLog.push({
-    deviceId,
-    eventType: 'jt808_alert',
-    eventData: alert,
-    timestamp: new Date()
+  // Add to the event stream
+  recordEvent({
+    deviceId,
+    type: alert.alertType || 'alert',
+    category: 'alert',
+    severity: getAlertSeverity(alert),
+    source: alert.source || 'device',
+    location: alert.location,
+    description: alert.description,
+    payload: alert,
+    timestamp: alert.timestamp
+  });
+  
+  // Emit to connected clients
+  emitToDashboards(deviceId, 'jt808_alert', {
+    deviceId,
+    alert,
+    timestamp: new Date()
+  });
+  
+  openAlert(deviceId, alert);
+  return alert;
+}
+
+// JT808 Location endpoint
+app.post('/api/dashcams/:deviceId/jt808/location', authenticateDevice, (req, res) => {
+  const { deviceId } = req.params;
+  const { latitude, longitude, altitude, speed, bearing, warnBit, statusBit, timestamp } = req.body;
+  
+  const location = {
+    latitude: parseFloat(latitude),
+    longitude: parseFloat(longitude),
+    altitude: parseFloat(altitude) || 0,
+    speed: parseFloat(speed) || 0,
+    bearing: parseFloat(bearing) || 0,
+    warnBit: parseInt(warnBit) || 0,
+    statusBit: parseInt(statusBit) || 0,
+    timestamp: timestamp || new Date()
+  };
+  
+  if (!recordJt808Location(deviceId, location, 'JT808 location update')) {
+    return res.status(404).json({ error: 'Device not found', deviceId });
+  }
+  
+  logger.info(`JT808 Location update: ${deviceId} - ${latitude}, ${longitude} (warnBit: ${warnBit}, statusBit: ${statusBit})`);
+  res.json({ 
+    success: true, 
+    message: 'JT808 location updated successfully'
   });
+});
+
+// JT808 Alert endpoint
+app.post('/api/dashcams/:deviceId/jt808/alert', authenticateDevice, (req, res) => {
+  const { deviceId } = req.params;
+  const { alertType, warnBit, statusBit, latitude, longitude, altitude, speed, description, timestamp } = req.body;
   
-  // Emit to connected clients
-  io.emit('jt808_alert', {
+  const alert = {
+    id: uuidv4(),
     deviceId,
-    alert,
-    timestamp: new Date()
-  });
+    alertType: alertType || 'unknown',
+    warnBit: parseInt(warnBit) || 0,
+    statusBit: parseInt(statusBit) || 0,
+    location: {
+      latitude: parseFloat(latitude) || 0,
+      longitude: parseFloat(longitude) || 0,
+      altitude: parseFloat(altitude) || 0,
+      speed: parseFloat(speed) || 0
+    },
+    description: description || 'JT808 Alert',
+    timestamp: timestamp || new Date()
+  };
+  
+  const recordedAlert = recordJt808Alert(deviceId, alert, 'JT808 alert');
+  if (!recordedAlert) {
+    return res.status(404).json({ error: 'Device not found', deviceId });
+  }
   
   logger.info(`JT808 Alert: ${deviceId} - ${alertType} (warnBit: ${warnBit}, statusBit: ${statusBit})`);
   res.json({ 
     success: true, 
     message: 'JT808 alert received successfully',
-    alertId: alert.id
+    alertId: recordedAlert.id,
+    alarms: recordedAlert.alarms
   });
 });
 
 // Get JT808 data for a device
-app.get('/api/dashcams/:deviceId/jt808', (req, res) => {
+app.get('/api/dashcams/:deviceId/jt808', requirePermission('view'), (req, res) => {
   const { deviceId } = req.params;
   const dashcam = dashcamData.get(deviceId);
   
@@ -1216,46 +6976,32 @@ app.get('/api/dashcams/:deviceId/jt808', (req, res) => {
     });
   }
   
+  const location = dashcam.location && dashcam.location.statusBit !== undefined ? dashcam.location : null;
+  
   res.json({ 
     deviceId,
     jt808Enabled: dashcam.jt808Enabled || false,
-    data: dashcam.jt808Data || []
+    alarms: location ? decodeJt808Alarms(location.warnBit || 0) : [],
+    status: location ? decodeJt808Status(location.statusBit || 0) : null,
+    data: (dashcam.jt808Data || []).map(entry => ({
+      ...entry,
+      data: withJt808Flags(entry.data)
+    }))
   });
 });
 
 // Receive command execution response from device
-app.post('/api/dashcams/:deviceId/response', (req, res) => {
+app.post('/api/dashcams/:deviceId/response', authenticateDevice, (req, res) => {
   const { deviceId } = req.params;
   const { command, success, message, timestamp, commandId } = req.body;
 
   logger.info(`[DEBUG] Command response from device ${deviceId}: ${command} - ${success ? 'SUCCESS' : 'FAILED'} - ${message}`);
 
-  // Only clear the command from pending commands if it was successful
-  const dashcam = dashcamData.get(deviceId);
-  if (dashcam && dashcam.pendingCommands && success) {
-    if (commandId) {
-      // Remove specific command by ID only if successful
-      const beforeCount = dashcam.pendingCommands.length;
-      dashcam.pendingCommands = dashcam.pendingCommands.filter(cmd => cmd.id !== commandId);
-      const afterCount = dashcam.pendingCommands.length;
-      if (beforeCount !== afterCount) {
-        logger.info(`[DEBUG] Cleared successful command ${command} (ID: ${commandId}) from device ${deviceId}`);
-      }
-    } else {
-      // Remove command by name (fallback) only if successful
-      const beforeCount = dashcam.pendingCommands.length;
-      dashcam.pendingCommands = dashcam.pendingCommands.filter(cmd => cmd.command !== command);
-      const afterCount = dashcam.pendingCommands.length;
-      if (beforeCount !== afterCount) {
-        logger.info(`[DEBUG] Cleared successful command ${command} from device ${deviceId}`);
-      }
-    }
-  } else if (!success) {
-    logger.info(`[DEBUG] Command ${command} failed, keeping in queue for retry`);
-  }
+  // Advance the command's lifecycle; failures are retried until maxRetries is used up
+  const cmd = completeCommand(deviceId, commandId, command, success, message);
 
   // Emit to UI via Socket.IO with proper structure
-  io.emit('command_response', {
+  emitToDashboards(deviceId, 'command_response', {
     deviceId,
     command,
     commandId,
@@ -1265,7 +7011,7 @@ app.post('/api/dashcams/:deviceId/response', (req, res) => {
   });
 
   // Also emit a more detailed event for UI logging
-  io.emit('device_command_response', {
+  emitToDashboards(deviceId, 'device_command_response', {
     deviceId,
     command,
     commandId,
@@ -1274,24 +7020,85 @@ app.post('/api/dashcams/:deviceId/response', (req, res) => {
     timestamp: timestamp || new Date()
   });
 
-  res.json({ success: true });
+  res.json({ success: true, status: cmd ? cmd.status : null });
 });
 
-// Serve media files
+// The indexed media entry for a filename, or null
+function findMediaFile(filename) {
+  return [...mediaFiles.images, ...mediaFiles.videos, ...mediaFiles.audio]
+    .find(f => f.filename === filename) || null;
+}
+
+// Media belongs to its device's organization; unindexed files are visible to platform operators only
+function canAccessMedia(operator, filename) {
+  const mediaFile = findMediaFile(filename);
+  return mediaFile ? canAccessDevice(operator, mediaFile.deviceId) : isPlatformOperator(operator);
+}
+
+// Serve media files through a signed URL; sendFile answers Range requests for video seeking
 app.get('/api/media/:filename', (req, res) => {
   const { filename } = req.params;
-  const filePath = path.join(__dirname, 'uploads', filename);
+  const filePath = path.join(UPLOADS_DIR, filename);
+  const mediaFile = findMediaFile(filename);
   
-  if (fs.existsSync(filePath)) {
-    res.sendFile(filePath);
-  } else {
-    res.status(404).json({ error: 'File not found' });
+  if (!verifySignedMediaUrl(`/api/media/${filename}`, req.query)) {
+    return res.status(403).json({ error: 'Invalid or expired media URL' });
+  }
+  if (!fs.existsSync(filePath) || (mediaFile && mediaFile.deletedAt)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.sendFile(filePath, { acceptRanges: true });
+});
+
+// Issue a fresh signed URL for a media file
+app.get('/api/media/:filename/url', requirePermission('view'), (req, res) => {
+  const { filename } = req.params;
+  const mediaFile = findMediaFile(filename);
+  
+  if (!canAccessMedia(req.operator, filename) || (mediaFile && mediaFile.deletedAt) ||
+      (!mediaFile && !fs.existsSync(path.join(UPLOADS_DIR, filename)))) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.json({
+    url: createSignedMediaUrl(`/api/media/${filename}`),
+    expiresAt: new Date(Date.now() + MEDIA_URL_TTL * 1000),
+    thumbnails: mediaFile ? formatThumbnails(mediaFile) : null
+  });
+});
+
+// Serve a thumbnail of a media file (small, medium or large) through a signed URL
+app.get('/api/media/:filename/thumbnails/:size', (req, res) => {
+  const { filename, size } = req.params;
+  const mediaFile = findMediaFile(filename);
+  
+  if (!verifySignedMediaUrl(`/api/media/${filename}/thumbnails/${size}`, req.query)) {
+    return res.status(403).json({ error: 'Invalid or expired media URL' });
+  }
+  if (!mediaFile || mediaFile.deletedAt || !THUMBNAIL_SIZES[size]) {
+    return res.status(404).json({ error: 'Thumbnail not found' });
+  }
+  if (mediaFile.thumbnailStatus === 'placeholder') {
+    return res.redirect(VIDEO_PLACEHOLDER_URL);
+  }
+  
+  const thumbnailPath = path.join(THUMBNAILS_DIR, getThumbnailFilename(filename, size));
+  if (mediaFile.thumbnailStatus !== 'ready' || !fs.existsSync(thumbnailPath)) {
+    return res.status(404).json({ error: 'Thumbnail not found' });
   }
+  res.sendFile(thumbnailPath);
 });
 
-// Get all media files
-app.get('/api/media', (req, res) => {
-  const { deviceId, type } = req.query;
+// Get all media files, newest first, with filters and pagination
+app.get('/api/media', requirePermission('view'), (req, res) => {
+  const { deviceId, type, eventType } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const from = parseQueryDate(req.query.from, null);
+  const to = parseQueryDate(req.query.to, null);
+  
+  if ((from === null && req.query.from) || (to === null && req.query.to)) {
+    return res.status(400).json({ error: 'Invalid from/to date' });
+  }
   
   let files = [];
   if (type === 'images' || type === 'photos') {
@@ -1300,6 +7107,8 @@ app.get('/api/media', (req, res) => {
     files = mediaFiles.videos;
   } else if (type === 'audio') {
     files = mediaFiles.audio;
+  } else if (type) {
+    return res.status(400).json({ error: 'type must be one of images, photos, videos, audio' });
   } else {
     files = [
       ...mediaFiles.images,
@@ -1308,53 +7117,594 @@ app.get('/api/media', (req, res) => {
     ];
   }
   
-  // Filter by device if specified
-  if (deviceId) {
-    files = files.filter(f => f.deviceId === deviceId);
-  }
+  // Only the operator's organization, then by the requested filters; ?deleted=true lists
+  // soft-deleted media that can still be restored instead
+  const deleted = req.query.deleted === 'true';
+  files = files.filter(f => canAccessDevice(req.operator, f.deviceId) &&
+    Boolean(f.deletedAt) === deleted &&
+    (!deviceId || f.deviceId === deviceId) &&
+    (!eventType || f.eventType === eventType) &&
+    (!from || new Date(f.uploadedAt) >= from) &&
+    (!to || new Date(f.uploadedAt) <= to));
   
   // Sort by upload date (newest first)
   files.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
   
   res.json({ 
-    files: files.map(f => ({
+    total: files.length,
+    limit,
+    offset,
+    files: files.slice(offset, offset + limit).map(f => ({
       id: f.id,
       filename: f.filename,
       originalName: f.originalName,
       size: f.size,
       mimetype: f.mimetype,
       eventType: f.eventType,
+      type: f.type,
       uploadedAt: f.uploadedAt,
       deviceId: f.deviceId,
-      url: `/api/media/${f.filename}`
+      missing: Boolean(f.missing),
+      pinned: f.pinned || null,
+      ...(f.deletedAt ? { deletedAt: f.deletedAt, deletedBy: f.deletedBy, purgeAt: f.purgeAt } : {
+        url: createSignedMediaUrl(`/api/media/${f.filename}`),
+        thumbnails: formatThumbnails(f)
+      })
     }))
   });
 });
 
-// Delete media file
-app.delete('/api/media/:filename', (req, res) => {
+// Delete media file: soft by default and restorable for MEDIA_RESTORE_DAYS; ?permanent=true removes it now
+app.delete('/api/media/:filename', requirePermission('manage'), async (req, res) => {
   const { filename } = req.params;
-  const filePath = path.join(__dirname, 'uploads', filename);
+  const filePath = path.join(UPLOADS_DIR, filename);
+  const mediaFile = findMediaFile(filename);
   
   try {
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      
-      // Remove from memory storage
-      mediaFiles.images = mediaFiles.images.filter(f => f.filename !== filename);
-      mediaFiles.videos = mediaFiles.videos.filter(f => f.filename !== filename);
-      mediaFiles.audio = mediaFiles.audio.filter(f => f.filename !== filename);
-      
-      res.json({ success: true, message: 'File deleted successfully' });
-    } else {
-      res.status(404).json({ error: 'File not found' });
+    // Entries flagged missing can be deleted even though their file is gone
+    if ((!fs.existsSync(filePath) && !mediaFile) || !canAccessMedia(req.operator, filename)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (mediaFile && mediaFile.pinned) {
+      return res.status(409).json({ error: 'Media is pinned; unpin it before deleting', pinned: mediaFile.pinned });
+    }
+    
+    // Unindexed files have nowhere to keep a soft delete
+    if (req.query.permanent === 'true' || !mediaFile) {
+      await removeMediaFiles([filename]);
+      logger.info(`Media ${filename} permanently deleted by ${req.operator.username}`);
+      return res.json({ success: true, message: 'File deleted permanently' });
+    }
+    
+    if (!mediaFile.deletedAt) {
+      mediaFile.deletedAt = new Date();
+      mediaFile.deletedBy = req.operator.username;
+      mediaFile.purgeAt = new Date(Date.now() + MEDIA_RESTORE_DAYS * 24 * 3600000);
+      saveMediaIndex(filename);
+      logger.info(`Media ${filename} deleted by ${req.operator.username}, restorable until ${mediaFile.purgeAt.toISOString()}`);
     }
+    res.json({ success: true, message: 'File deleted', restorableUntil: mediaFile.purgeAt });
   } catch (error) {
     logger.error('Error deleting file:', error);
     res.status(500).json({ error: 'Failed to delete file' });
   }
 });
 
+// Restore soft-deleted media
+app.post('/api/media/:filename/restore', requirePermission('manage'), (req, res) => {
+  const mediaFile = findMediaFile(req.params.filename);
+  if (!mediaFile || !mediaFile.deletedAt || !canAccessMedia(req.operator, req.params.filename)) {
+    return res.status(404).json({ error: 'No deleted file to restore' });
+  }
+  
+  delete mediaFile.deletedAt;
+  delete mediaFile.deletedBy;
+  delete mediaFile.purgeAt;
+  saveMediaIndex(mediaFile.filename);
+  
+  logger.info(`Media ${mediaFile.filename} restored by ${req.operator.username}`);
+  res.json({ success: true, filename: mediaFile.filename, url: createSignedMediaUrl(`/api/media/${mediaFile.filename}`) });
+});
+
+// Pin media to an incident so retention and quotas never delete it
+app.post('/api/media/:filename/pin', requirePermission('manage'), (req, res) => {
+  const mediaFile = findMediaFile(req.params.filename);
+  if (!mediaFile || !canAccessMedia(req.operator, req.params.filename)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  
+  const { incidentId, reason } = req.body;
+  if (!incidentId && !reason) {
+    return res.status(400).json({ error: 'incidentId or reason is required' });
+  }
+  
+  mediaFile.pinned = {
+    incidentId: incidentId || null,
+    reason: reason || null,
+    pinnedBy: req.operator.username,
+    pinnedAt: new Date()
+  };
+  saveMediaIndex(mediaFile.filename);
+  
+  logger.info(`Media ${mediaFile.filename} pinned by ${req.operator.username} (${incidentId || reason})`);
+  res.json({ success: true, filename: mediaFile.filename, pinned: mediaFile.pinned });
+});
+
+// Unpin media
+app.delete('/api/media/:filename/pin', requirePermission('manage'), (req, res) => {
+  const mediaFile = findMediaFile(req.params.filename);
+  if (!mediaFile || !canAccessMedia(req.operator, req.params.filename)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  
+  delete mediaFile.pinned;
+  saveMediaIndex(mediaFile.filename);
+  
+  logger.info(`Media ${mediaFile.filename} unpinned by ${req.operator.username}`);
+  res.json({ success: true, filename: mediaFile.filename });
+});
+
+// Storage usage by device and media type
+app.get('/api/storage', requirePermission('view'), (req, res) => {
+  const visible = file => canAccessDevice(req.operator, file.deviceId);
+  const deviceIds = Array.from(new Set([...mediaFiles.images, ...mediaFiles.videos, ...mediaFiles.audio]
+    .filter(visible)
+    .map(file => file.deviceId)));
+  
+  const devices = deviceIds
+    .map(deviceId => {
+      const usage = summarizeMediaUsage(file => file.deviceId === deviceId);
+      return { deviceId, ...usage, quotaBytes: getDeviceQuota(deviceId) };
+    })
+    .sort((a, b) => b.bytes - a.bytes);
+  
+  const pinned = [...mediaFiles.images, ...mediaFiles.videos, ...mediaFiles.audio]
+    .filter(file => file.pinned && visible(file)).length;
+  
+  res.json({
+    ...summarizeMediaUsage(visible),
+    pinned,
+    globalQuotaBytes: storagePolicy.quotas.globalBytes,
+    devices,
+    lastCleanup: storageCleanups[0] ? {
+      ranAt: storageCleanups[0].ranAt,
+      trigger: storageCleanups[0].trigger,
+      removed: storageCleanups[0].removed.filter(visible).length
+    } : null
+  });
+});
+
+// Retention rules and quotas
+app.get('/api/storage/policy', requirePermission('view'), (req, res) => {
+  res.json(storagePolicy);
+});
+
+// Replace the retention rules and quotas
+app.put('/api/storage/policy', requirePermission('manage', { platform: true }), (req, res) => {
+  const policy = {
+    retention: { ...storagePolicy.retention, ...req.body.retention },
+    quotas: { ...storagePolicy.quotas, ...req.body.quotas }
+  };
+  const error = validateStoragePolicy(policy);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  storagePolicy = policy;
+  saveStoragePolicy();
+  
+  logger.info(`Storage policy updated by ${req.operator.username}`);
+  res.json({ success: true, policy: storagePolicy });
+});
+
+// Run the storage cleanup now, and list recent runs
+app.post('/api/storage/cleanup', requirePermission('manage', { platform: true }), async (req, res) => {
+  res.json(await runStorageCleanup(`manual (${req.operator.username})`));
+});
+
+app.get('/api/storage/cleanup', requirePermission('manage', { platform: true }), (req, res) => {
+  res.json({ cleanups: storageCleanups });
+});
+
+// Last media index reconciliation: missing files and orphaned uploads
+app.get('/api/admin/media/reconcile', requirePermission('manage', { platform: true }), (req, res) => {
+  res.json(mediaReconciliation);
+});
+
+// Re-run the media index reconciliation against uploads/
+app.post('/api/admin/media/reconcile', requirePermission('manage', { platform: true }), (req, res) => {
+  reconcileMediaIndex();
+  res.json(mediaReconciliation);
+});
+
+// JT808 TCP gateway
+//
+// Terminals speaking JT/T 808 (2013 and 2019 headers) connect here directly.
+// Frames are delimited by 0x7E and decoded by lib/jt808.js. Decoded reports go
+// through the same helpers as the JT808 HTTP routes.
+
+const JT808_PORT = parseInt(process.env.JT808_PORT) || 7611;
+const JT808_TIMEZONE_OFFSET = process.env.JT808_TIMEZONE_OFFSET !== undefined
+  ? parseFloat(process.env.JT808_TIMEZONE_OFFSET)
+  : 8; // Terminal clocks report GMT+8 per the standard
+const JT808_MAX_BUFFER = 16 * 1024;
+// Subpackaged messages in progress on one connection; incomplete ones are dropped
+const JT808_SUBPACKAGE_MAX_BYTES = 1024 * 1024;
+const JT808_SUBPACKAGE_TIMEOUT = 60 * 1000;
+
+const JT808_MSG = {
+  TERMINAL_RESPONSE: 0x0001,
+  HEARTBEAT: 0x0002,
+  REGISTER: 0x0100,
+  AUTHENTICATE: 0x0102,
+  LOCATION: 0x0200,
+  BATCH_LOCATION: 0x0704,
+  PLATFORM_RESPONSE: 0x8001,
+  REGISTER_RESPONSE: 0x8100
+};
+
+const JT808_RESULT = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  MESSAGE_ERROR: 2,
+  UNSUPPORTED: 3
+};
+
+// 0x8100 registration results
+const JT808_REGISTER_RESULT = {
+  SUCCESS: 0,
+  TERMINAL_REGISTERED: 3,
+  NO_TERMINAL: 4
+};
+
+// Active TCP sessions keyed by deviceId
+const jt808Sessions = new Map();
+
+function handleJt808Connection(socket) {
+  const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+  const session = {
+    socket,
+    deviceId: null,
+    authenticated: false,
+    serial: 0,
+    buffer: Buffer.alloc(0),
+    subpackages: new Map(),
+    subpackageBytes: 0
+  };
+  
+  logger.info(`[JT808] Terminal connected from ${remote}`);
+  socket.setTimeout(HEARTBEAT_TIMEOUT);
+  
+  function send(msgId, request, body) {
+    session.serial = (session.serial + 1) & 0xffff;
+    socket.write(encodeJt808Frame(msgId, request, session.serial, body));
+  }
+  
+  function sendGeneralResponse(request, result) {
+    const body = Buffer.alloc(5);
+    body.writeUInt16BE(request.serial, 0);
+    body.writeUInt16BE(request.msgId, 2);
+    body[4] = result;
+    send(JT808_MSG.PLATFORM_RESPONSE, request, body);
+  }
+  
+  function sendRegisterResponse(request, result, authCode) {
+    const body = Buffer.concat([Buffer.alloc(3), authCode ? Buffer.from(authCode, 'ascii') : Buffer.alloc(0)]);
+    body.writeUInt16BE(request.serial, 0);
+    body[2] = result;
+    send(JT808_MSG.REGISTER_RESPONSE, request, body);
+  }
+  
+  function recordLocationReport(location) {
+    recordJt808Location(session.deviceId, location, 'JT808 TCP gateway');
+  }
+  
+  // Blind-area backfill: positions stored while the terminal had no signal. They go into
+  // history in time order and build trips, but don't move the device or raise alarms.
+  async function recordBackfill(locations) {
+    const points = locations
+      .map(location => toTrackPoint(location, 'JT808 TCP backfill'))
+      .filter(isValidCoordinate)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    if (points.length === 0) {
+      return;
+    }
+    await insertLocationHistory(session.deviceId, points);
+    for (const point of points) {
+      applyTrackPoint(session.deviceId, point, { live: false });
+    }
+  }
+  
+  function handleRegistration(request) {
+    const registration = decodeJt808Registration(request.body, request.is2019);
+    const deviceId = request.phone;
+    
+    // Anyone can send 0x0100 with any phone number, so an auth code is only handed out
+    // for a new terminal, or for an existing device an operator opened registration for
+    const existing = dashcamData.get(deviceId);
+    if (existing && DEVICE_AUTH_REQUIRED && !(existing.jt808 && existing.jt808.registrationOpen)) {
+      logger.warn(`[JT808] Registration refused for already registered terminal ${deviceId} from ${remote}`);
+      sendRegisterResponse(request, JT808_REGISTER_RESULT.TERMINAL_REGISTERED);
+      return;
+    }
+    
+    const dashcam = getOrRegisterDashcam(deviceId, { jt808Enabled: true, source: 'JT808 TCP registration', channel: 'jt808_tcp' });
+    if (!dashcam) {
+      logger.warn(`[JT808] Registration refused for unknown terminal ${deviceId} from ${remote}`);
+      sendRegisterResponse(request, JT808_REGISTER_RESULT.NO_TERMINAL);
+      return;
+    }
+    
+    // Always a fresh code: an earlier one is never sent again
+    const authCode = crypto.randomBytes(16).toString('hex');
+    dashcam.jt808 = {
+      ...dashcam.jt808,
+      ...registration,
+      phone: request.phone,
+      protocolVersion: request.is2019 ? '2019' : '2013',
+      authCode,
+      registrationOpen: false,
+      registeredAt: new Date()
+    };
+    if (!dashcam.model || dashcam.model === 'Unknown') {
+      dashcam.model = registration.terminalModel || 'Unknown';
+    }
+    dashcam.jt808Enabled = true;
+    dashcam.lastSeen = new Date();
+    saveDashcamData(deviceId);
+    
+    logger.info(`[JT808] Terminal registered: ${deviceId} (${registration.manufacturerId} ${registration.terminalModel}, plate ${registration.plateNumber})`);
+    sendRegisterResponse(request, JT808_REGISTER_RESULT.SUCCESS, authCode);
+  }
+  
+  function handleAuthentication(request) {
+    const authCode = decodeJt808AuthCode(request.body, request.is2019);
+    const deviceId = request.phone;
+    const dashcam = dashcamData.get(deviceId);
+    
+    if (!dashcam || !dashcam.jt808 || !secretsMatch(authCode, dashcam.jt808.authCode)) {
+      logger.warn(`[JT808] Authentication failed for terminal ${deviceId} from ${remote}`);
+      sendGeneralResponse(request, JT808_RESULT.FAILURE);
+      return;
+    }
+    
+    // A terminal reconnecting replaces its previous session
+    const previous = jt808Sessions.get(deviceId);
+    if (previous && previous !== session) {
+      previous.deviceId = null;
+      previous.socket.destroy();
+    }
+    
+    session.deviceId = deviceId;
+    session.authenticated = true;
+    jt808Sessions.set(deviceId, session);
+    
+    dashcam.status = 'online';
+    dashcam.lastSeen = new Date();
+    dashcam.jt808Enabled = true;
+    saveDashcamData(deviceId);
+    
+    emitToDashboards(deviceId, 'dashcam_status', {
+      deviceId,
+      status: 'online',
+      timestamp: new Date()
+    });
+    
+    logger.info(`[JT808] Terminal authenticated: ${deviceId} from ${remote}`);
+    sendGeneralResponse(request, JT808_RESULT.SUCCESS);
+  }
+  
+  function handleMessage(request) {
+    if (request.msgId === JT808_MSG.REGISTER) {
+      handleRegistration(request);
+      return;
+    }
+    if (request.msgId === JT808_MSG.AUTHENTICATE) {
+      handleAuthentication(request);
+      return;
+    }
+    
+    if (!session.authenticated || session.deviceId !== request.phone) {
+      // Like the HTTP routes, terminals may skip authentication while DEVICE_AUTH_REQUIRED is off
+      const known = !DEVICE_AUTH_REQUIRED &&
+        getOrRegisterDashcam(request.phone, { jt808Enabled: true, source: 'JT808 TCP gateway', channel: 'jt808_tcp' });
+      if (!known) {
+        logger.warn(`[JT808] Message 0x${request.msgId.toString(16).padStart(4, '0')} from unauthenticated terminal ${request.phone}`);
+        sendGeneralResponse(request, JT808_RESULT.FAILURE);
+        return;
+      }
+      session.deviceId = request.phone;
+      jt808Sessions.set(request.phone, session);
+    }
+    
+    const dashcam = dashcamData.get(session.deviceId);
+    if (dashcam) {
+      dashcam.lastSeen = new Date();
+      saveDashcamData(session.deviceId);
+    }
+    
+    switch (request.msgId) {
+      case JT808_MSG.HEARTBEAT:
+        logger.debug(`[JT808] Heartbeat from ${session.deviceId}`);
+        sendGeneralResponse(request, JT808_RESULT.SUCCESS);
+        break;
+      
+      case JT808_MSG.LOCATION: {
+        const location = decodeJt808Location(request.body, JT808_TIMEZONE_OFFSET);
+        recordLocationReport(location);
+        logger.info(`[JT808] Location from ${session.deviceId} - ${location.latitude}, ${location.longitude} (warnBit: ${location.warnBit}, statusBit: ${location.statusBit})`);
+        sendGeneralResponse(request, JT808_RESULT.SUCCESS);
+        break;
+      }
+      
+      case JT808_MSG.BATCH_LOCATION: {
+        const batch = decodeJt808BatchLocation(request.body, JT808_TIMEZONE_OFFSET);
+        if (batch.type === 1) {
+          const deviceId = session.deviceId;
+          recordBackfill(batch.locations).catch(error => {
+            logger.error(`[JT808] Error storing backfill from ${deviceId}: ${error.message}`, error);
+          });
+        } else {
+          batch.locations.forEach(recordLocationReport);
+        }
+        logger.info(`[JT808] Batch of ${batch.locations.length} locations from ${session.deviceId} (type ${batch.type}, ${batch.skipped} malformed)`);
+        sendGeneralResponse(request, JT808_RESULT.SUCCESS);
+        break;
+      }
+      
+      case JT808_MSG.TERMINAL_RESPONSE:
+        logger.debug(`[JT808] Terminal response from ${session.deviceId}: serial ${request.body.readUInt16BE(0)}, msg 0x${request.body.readUInt16BE(2).toString(16)}, result ${request.body[4]}`);
+        break;
+      
+      default:
+        logger.info(`[JT808] Unsupported message 0x${request.msgId.toString(16).padStart(4, '0')} from ${session.deviceId}`);
+        sendGeneralResponse(request, JT808_RESULT.UNSUPPORTED);
+    }
+  }
+  
+  function dropSubpackages(key) {
+    session.subpackageBytes -= session.subpackages.get(key).bytes;
+    session.subpackages.delete(key);
+  }
+  
+  // Collect subpackaged messages until every packet has arrived. Messages that stall for
+  // JT808_SUBPACKAGE_TIMEOUT are dropped, and a connection can't buffer more than
+  // JT808_SUBPACKAGE_MAX_BYTES of unfinished messages.
+  function reassemble(request) {
+    if (!request.subpackage) {
+      return request;
+    }
+    
+    const now = Date.now();
+    for (const [pendingKey, pending] of session.subpackages) {
+      if (now - pending.startedAt > JT808_SUBPACKAGE_TIMEOUT) {
+        logger.warn(`[JT808] Dropping incomplete subpackaged message ${pendingKey} from ${remote}`);
+        dropSubpackages(pendingKey);
+      }
+    }
+    
+    const { total, index } = request.subpackage;
+    const key = `${request.msgId}:${total}`;
+    if (session.subpackages.has(key) && index === 1) {
+      dropSubpackages(key);
+    }
+    if (!session.subpackages.has(key)) {
+      session.subpackages.set(key, { parts: new Map(), bytes: 0, startedAt: now });
+    }
+    const pending = session.subpackages.get(key);
+    const previous = pending.parts.get(index);
+    const added = request.body.length - (previous ? previous.length : 0);
+    if (session.subpackageBytes + added > JT808_SUBPACKAGE_MAX_BYTES) {
+      logger.warn(`[JT808] Subpackaged message ${key} from ${remote} exceeds ${JT808_SUBPACKAGE_MAX_BYTES} bytes, dropping it`);
+      dropSubpackages(key);
+      sendGeneralResponse(request, JT808_RESULT.MESSAGE_ERROR);
+      return null;
+    }
+    pending.parts.set(index, request.body);
+    pending.bytes += added;
+    session.subpackageBytes += added;
+    
+    // The final packet is answered once the whole message has been handled
+    if (pending.parts.size < total) {
+      sendGeneralResponse(request, JT808_RESULT.SUCCESS);
+      return null;
+    }
+    dropSubpackages(key);
+    const bodies = [];
+    for (let i = 1; i <= total; i++) {
+      bodies.push(pending.parts.get(i) || Buffer.alloc(0));
+    }
+    return { ...request, subpackage: null, body: Buffer.concat(bodies) };
+  }
+  
+  function handleFrame(frame) {
+    let request;
+    try {
+      request = decodeJt808Frame(jt808Unescape(frame));
+    } catch (error) {
+      logger.warn(`[JT808] Dropping malformed frame from ${remote}: ${error.message}`);
+      return;
+    }
+    
+    try {
+      const message = reassemble(request);
+      if (message) {
+        handleMessage(message);
+      }
+    } catch (error) {
+      logger.error(`[JT808] Error handling message 0x${request.msgId.toString(16).padStart(4, '0')} from ${request.phone}: ${error.message}`, error);
+      sendGeneralResponse(request, JT808_RESULT.MESSAGE_ERROR);
+    }
+  }
+  
+  socket.on('data', (chunk) => {
+    session.buffer = Buffer.concat([session.buffer, chunk]);
+    
+    // Split on 0x7E delimiters; adjacent 0x7E 0x7E is an end flag followed by a start flag
+    for (;;) {
+      const start = session.buffer.indexOf(0x7e);
+      if (start === -1) {
+        session.buffer = Buffer.alloc(0);
+        break;
+      }
+      const end = session.buffer.indexOf(0x7e, start + 1);
+      if (end === -1) {
+        session.buffer = session.buffer.subarray(start);
+        break;
+      }
+      if (end === start + 1) {
+        session.buffer = session.buffer.subarray(end);
+        continue;
+      }
+      handleFrame(session.buffer.subarray(start + 1, end));
+      session.buffer = session.buffer.subarray(end + 1);
+    }
+    
+    if (session.buffer.length > JT808_MAX_BUFFER) {
+      logger.warn(`[JT808] Receive buffer overflow from ${remote}, closing connection`);
+      socket.destroy();
+    }
+  });
+  
+  socket.on('timeout', () => {
+    logger.warn(`[JT808] Connection from ${remote} timed out`);
+    socket.destroy();
+  });
+  
+  socket.on('error', (error) => {
+    logger.warn(`[JT808] Socket error from ${remote}: ${error.message}`);
+  });
+  
+  socket.on('close', () => {
+    logger.info(`[JT808] Terminal disconnected from ${remote}${session.deviceId ? ` (${session.deviceId})` : ''}`);
+    if (!session.deviceId || jt808Sessions.get(session.deviceId) !== session) {
+      return;
+    }
+    
+    jt808Sessions.delete(session.deviceId);
+    const dashcam = dashcamData.get(session.deviceId);
+    if (dashcam && !dashcam.socketId) {
+      dashcam.status = 'offline';
+      emitToDashboards(session.deviceId, 'dashcam_status', {
+        deviceId: session.deviceId,
+        status: 'offline',
+        timestamp: new Date()
+      });
+      saveDashcamData(session.deviceId);
+    }
+  });
+}
+
+const jt808Server = net.createServer(handleJt808Connection);
+
+jt808Server.on('error', (error) => {
+  logger.error(`[JT808] TCP gateway error: ${error.message}`, error);
+});
+
+if (!DEVICE_PROVISIONING_CODE) {
+  logger.warn('DEVICE_PROVISIONING_CODE is not set; anyone can register a new device ID without an organization code');
+}
+
 // Start server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
@@ -1363,4 +7713,22 @@ server.listen(PORT, () => {
   console.log(`📊 Dashboard available at: http://localhost:${PORT}`);
   console.log(`🔌 API endpoints available at: http://localhost:${PORT}/api`);
   console.log(`📡 Socket.IO endpoint: http://localhost:${PORT}`);
-});
\ No newline at end of file
+});
+
+if (process.env.JT808_TCP_ENABLED !== 'false') {
+  jt808Server.listen(JT808_PORT, () => {
+    logger.info(`JT808 TCP gateway listening on port ${JT808_PORT}`);
+    console.log(`🛰️  JT808 TCP gateway: tcp://localhost:${JT808_PORT}`);
+  });
+}
+
+// Write device changes and events still waiting for a flush before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    logger.info(`Received ${signal}, shutting down`);
+    flushDashcamData();
+    await flushEvents();
+    store.close();
+    process.exit(0);
+  });
+}
\ No newline at end of file
@@ -2,6 +2,9 @@ const axios = require('axios');
 
 const BASE_URL = 'https://e-android-fleet-backend-render.onrender.com';
 const DEVICE_ID = '13f15b0094dcc44a';
+const DEVICE_TOKEN = process.env.DEVICE_TOKEN; // token issued to the device at registration
+const OPERATOR_TOKEN = process.env.OPERATOR_TOKEN; // operator session or API token (dispatcher or admin)
+const operatorConfig = { headers: { Authorization: `Bearer ${OPERATOR_TOKEN}` } };
 
 async function testCommands() {
     console.log('🚗 Testing Fleet Management Commands...\n');
@@ -15,7 +18,7 @@ async function testCommands() {
 
         // Test 2: Check device registration
         console.log('\n2. Testing device registration...');
-        const devicesResponse = await axios.get(`${BASE_URL}/api/dashcams`);
+        const devicesResponse = await axios.get(`${BASE_URL}/api/dashcams`, operatorConfig);
         const device = devicesResponse.data.find(d => d.deviceId === DEVICE_ID);
         if (device) {
             console.log('✅ Device is registered:', device.deviceId);
@@ -26,50 +29,52 @@ async function testCommands() {
             return;
         }
 
-        // Test 3: Send getStatus command
-        console.log('\n3. Testing getStatus command...');
+        // Test 3: Send get_device_info command
+        console.log('\n3. Testing get_device_info command...');
         const statusCommand = await axios.post(`${BASE_URL}/api/dashcams/${DEVICE_ID}/commands`, {
-            command: 'getStatus'
-        });
+            command: 'get_device_info'
+        }, operatorConfig);
         console.log('✅ Status command queued:', statusCommand.data.message);
         console.log('   Command ID:', statusCommand.data.commandId);
 
-        // Test 4: Send takePhoto command
-        console.log('\n4. Testing takePhoto command...');
+        // Test 4: Send capture_photo command
+        console.log('\n4. Testing capture_photo command...');
         const photoCommand = await axios.post(`${BASE_URL}/api/dashcams/${DEVICE_ID}/commands`, {
-            command: 'takePhoto'
-        });
+            command: 'capture_photo'
+        }, operatorConfig);
         console.log('✅ Photo command queued:', photoCommand.data.message);
         console.log('   Command ID:', photoCommand.data.commandId);
 
         // Test 5: Send TTS command
         console.log('\n5. Testing TTS command...');
         const ttsCommand = await axios.post(`${BASE_URL}/api/dashcams/${DEVICE_ID}/commands`, {
-            command: 'playTTS',
+            command: 'tts_speak',
             parameters: {
                 message: 'Test message from server'
             }
-        });
+        }, operatorConfig);
         console.log('✅ TTS command queued:', ttsCommand.data.message);
         console.log('   Command ID:', ttsCommand.data.commandId);
 
-        // Test 6: Send getLocation command
-        console.log('\n6. Testing getLocation command...');
+        // Test 6: Send get_location command
+        console.log('\n6. Testing get_location command...');
         const locationCommand = await axios.post(`${BASE_URL}/api/dashcams/${DEVICE_ID}/commands`, {
-            command: 'getLocation'
-        });
+            command: 'get_location'
+        }, operatorConfig);
         console.log('✅ Location command queued:', locationCommand.data.message);
         console.log('   Command ID:', locationCommand.data.commandId);
 
         // Test 7: Check media endpoints
         console.log('\n7. Testing media endpoints...');
-        const mediaResponse = await axios.get(`${BASE_URL}/api/media`);
+        const mediaResponse = await axios.get(`${BASE_URL}/api/media`, operatorConfig);
         console.log('✅ Media endpoint accessible');
         console.log('   Files available:', mediaResponse.data.files.length);
 
         // Test 8: Check device commands endpoint
         console.log('\n8. Testing device commands polling...');
-        const commandsResponse = await axios.get(`${BASE_URL}/api/dashcams/${DEVICE_ID}/commands`);
+        const commandsResponse = await axios.get(`${BASE_URL}/api/dashcams/${DEVICE_ID}/commands`, {
+            headers: { Authorization: `Bearer ${DEVICE_TOKEN}` }
+        });
         console.log('✅ Commands endpoint accessible');
         console.log('   Pending commands:', commandsResponse.data.commands.length);
 
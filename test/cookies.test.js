@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCookies } = require('../lib/cookies');
+
+test('cookies are split on semicolons and percent-decoded', () => {
+  assert.deepEqual(parseCookies('fleet_session=ses_abc; theme=dark%20blue'), {
+    fleet_session: 'ses_abc',
+    theme: 'dark blue'
+  });
+});
+
+test('a missing header or a part without a name gives no cookies', () => {
+  assert.deepEqual(parseCookies(undefined), {});
+  assert.deepEqual(parseCookies('=value; novalue'), {});
+});
+
+test('a malformed escape keeps the raw value instead of throwing', () => {
+  assert.deepEqual(parseCookies('fleet_session=%E0; other=ok'), {
+    fleet_session: '%E0',
+    other: 'ok'
+  });
+});
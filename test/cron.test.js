@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronRun, isValidTimezone } = require('../lib/cron');
+
+const next = (expression, after, timezone = 'UTC') =>
+  nextCronRun(expression, timezone, new Date(after)).toISOString();
+
+test('fields accept lists, ranges and steps', () => {
+  const [minutes, hours, days, months, weekdays] = parseCron('0,30 8-10 */10 1-12/6 *');
+
+  assert.deepEqual([...minutes.values], [0, 30]);
+  assert.deepEqual([...hours.values], [8, 9, 10]);
+  assert.deepEqual([...days.values], [1, 11, 21, 31]);
+  assert.deepEqual([...months.values], [1, 7]);
+  assert.equal(weekdays.values.size, 7);
+  assert.equal(days.restricted, false);
+  assert.equal(weekdays.restricted, false);
+});
+
+test('day-of-week 7 is Sunday', () => {
+  const weekdays = parseCron('0 0 * * 7')[4];
+  assert.deepEqual([...weekdays.values], [0]);
+});
+
+test('invalid expressions are rejected', () => {
+  assert.throws(() => parseCron('* * * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid minute field/);
+  assert.throws(() => parseCron('* 5-2 * * *'), /Invalid hour field/);
+  assert.throws(() => parseCron('* * 0 * *'), /Invalid day-of-month field/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute field/);
+  assert.throws(() => parseCron('a * * * *'), /Invalid minute field/);
+});
+
+test('the next run is strictly after the given time', () => {
+  assert.equal(next('*/15 * * * *', '2024-03-01T10:15:00Z'), '2024-03-01T10:30:00.000Z');
+  assert.equal(next('*/15 * * * *', '2024-03-01T10:14:59Z'), '2024-03-01T10:15:00.000Z');
+  assert.equal(next('0 6 * * *', '2024-03-01T06:00:00Z'), '2024-03-02T06:00:00.000Z');
+});
+
+test('runs are found across months and years', () => {
+  assert.equal(next('0 0 1 * *', '2024-01-31T12:00:00Z'), '2024-02-01T00:00:00.000Z');
+  assert.equal(next('30 12 29 2 *', '2024-03-01T00:00:00Z'), '2028-02-29T12:30:00.000Z');
+});
+
+test('a restricted day-of-month and day-of-week match either', () => {
+  // 2024-03-04 is a Monday, before the 15th
+  assert.equal(next('0 9 15 * 1', '2024-03-01T00:00:00Z'), '2024-03-04T09:00:00.000Z');
+  // Only day-of-week restricted: every Monday
+  assert.equal(next('0 9 * * 1', '2024-03-05T00:00:00Z'), '2024-03-11T09:00:00.000Z');
+});
+
+test('wall-clock times are evaluated in the schedule timezone', () => {
+  assert.equal(next('0 8 * * *', '2024-01-15T00:00:00Z', 'Africa/Lagos'), '2024-01-15T07:00:00.000Z');
+  // New York is UTC-5 in winter and UTC-4 after the March change
+  assert.equal(next('0 8 * * *', '2024-03-09T14:00:00Z', 'America/New_York'), '2024-03-10T12:00:00.000Z');
+  assert.equal(next('0 8 * * *', '2024-03-08T14:00:00Z', 'America/New_York'), '2024-03-09T13:00:00.000Z');
+});
+
+test('days shortened by a spring-forward change are not skipped', () => {
+  // New York moves to UTC-4 at 02:00 on Sunday 2024-03-10, a 23-hour day
+  assert.equal(next('0 0 * * 1', '2024-03-09T12:00:00Z', 'America/New_York'), '2024-03-11T04:00:00.000Z');
+  assert.equal(next('30 0 11 3 *', '2024-03-09T12:00:00Z', 'America/New_York'), '2024-03-11T04:30:00.000Z');
+  assert.equal(next('0 3 * * *', '2024-03-10T05:00:00Z', 'America/New_York'), '2024-03-10T07:00:00.000Z');
+  // London moves to UTC+1 on 2024-03-31
+  assert.equal(next('0 0 * * 1', '2024-03-30T12:00:00Z', 'Europe/London'), '2024-03-31T23:00:00.000Z');
+  // Santiago skips from 00:00 to 01:00 on 2024-09-08, so that day has no midnight
+  assert.equal(next('0 0 * * *', '2024-09-07T12:00:00Z', 'America/Santiago'), '2024-09-09T03:00:00.000Z');
+  assert.equal(next('0 1 * * *', '2024-09-07T12:00:00Z', 'America/Santiago'), '2024-09-08T04:00:00.000Z');
+  // Lord Howe moves by half an hour, from 02:00 to 02:30 on 2024-10-06
+  assert.equal(next('0 0 * * 1', '2024-10-05T00:00:00Z', 'Australia/Lord_Howe'), '2024-10-06T13:00:00.000Z');
+});
+
+test('days lengthened by a fall-back change run once at the first matching time', () => {
+  // New York moves back to UTC-5 at 02:00 on Sunday 2024-11-03, a 25-hour day
+  assert.equal(next('0 0 * * 1', '2024-11-02T12:00:00Z', 'America/New_York'), '2024-11-04T05:00:00.000Z');
+  assert.equal(next('0 0 4 11 *', '2024-11-02T12:00:00Z', 'America/New_York'), '2024-11-04T05:00:00.000Z');
+  assert.equal(next('30 1 * * *', '2024-11-03T04:00:00Z', 'America/New_York'), '2024-11-03T05:30:00.000Z');
+  assert.equal(next('0 0 * * 1', '2024-10-26T12:00:00Z', 'Europe/London'), '2024-10-28T00:00:00.000Z');
+});
+
+test('an expression that never matches returns null', () => {
+  assert.equal(nextCronRun('0 0 31 2 *', 'UTC', new Date('2024-01-01T00:00:00Z')), null);
+});
+
+test('timezones are checked against the Intl database', () => {
+  assert.equal(isValidTimezone('Europe/Berlin'), true);
+  assert.equal(isValidTimezone('Mars/Olympus'), false);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  jt808Unescape,
+  jt808Escape,
+  jt808Checksum,
+  parseJt808Time,
+  decodeJt808Frame,
+  encodeJt808Frame,
+  decodeJt808Location,
+  decodeJt808BatchLocation,
+  decodeJt808Registration,
+  decodeJt808AuthCode
+} = require('../lib/jt808');
+
+const PHONE = Buffer.from('013800138000', 'hex');
+
+// Strip the 0x7E delimiters and unescape, as the gateway does
+function unframe(frame) {
+  assert.equal(frame[0], 0x7e);
+  assert.equal(frame[frame.length - 1], 0x7e);
+  return jt808Unescape(frame.subarray(1, frame.length - 1));
+}
+
+function locationBody({ latitude = 22.5, longitude = 114.05, speed = 60, status = 0, time = '240102030405', extra = [] } = {}) {
+  const body = Buffer.alloc(28);
+  body.writeUInt32BE(1, 0);
+  body.writeUInt32BE(status, 4);
+  body.writeUInt32BE(Math.round(Math.abs(latitude) * 1e6), 8);
+  body.writeUInt32BE(Math.round(Math.abs(longitude) * 1e6), 12);
+  body.writeUInt16BE(30, 16);
+  body.writeUInt16BE(speed * 10, 18);
+  body.writeUInt16BE(90, 20);
+  Buffer.from(time, 'hex').copy(body, 22);
+  return Buffer.concat([body, Buffer.from(extra)]);
+}
+
+test('escape and unescape round-trip the reserved bytes', () => {
+  const data = Buffer.from([0x30, 0x7e, 0x08, 0x7d, 0x55]);
+  const escaped = jt808Escape(data);
+  assert.deepEqual(escaped, Buffer.from([0x30, 0x7d, 0x02, 0x08, 0x7d, 0x01, 0x55]));
+  assert.deepEqual(jt808Unescape(escaped), data);
+});
+
+test('checksum is the XOR of every byte', () => {
+  assert.equal(jt808Checksum(Buffer.from([0x01, 0x02, 0x04])), 0x07);
+  assert.equal(jt808Checksum(Buffer.alloc(0)), 0);
+});
+
+test('an encoded 2013 frame decodes back to its header and body', () => {
+  const body = Buffer.from([0x00, 0x7e, 0x7d, 0x01]);
+  const frame = encodeJt808Frame(0x8001, { is2019: false, phoneBytes: PHONE }, 42, body);
+  const decoded = decodeJt808Frame(unframe(frame));
+
+  assert.equal(decoded.msgId, 0x8001);
+  assert.equal(decoded.is2019, false);
+  assert.equal(decoded.phone, '013800138000');
+  assert.equal(decoded.serial, 42);
+  assert.equal(decoded.subpackage, null);
+  assert.deepEqual(decoded.body, body);
+});
+
+test('an encoded 2019 frame keeps its protocol version and 10-byte phone', () => {
+  const phoneBytes = Buffer.from('00000000013800138000', 'hex');
+  const frame = encodeJt808Frame(0x8100, { is2019: true, protocolVersion: 1, phoneBytes }, 7, Buffer.from([1, 2, 3]));
+  const decoded = decodeJt808Frame(unframe(frame));
+
+  assert.equal(decoded.is2019, true);
+  assert.equal(decoded.protocolVersion, 1);
+  assert.equal(decoded.phone, '00000000013800138000');
+  assert.deepEqual(decoded.body, Buffer.from([1, 2, 3]));
+});
+
+test('frames with a bad checksum, short length or wrong body length are rejected', () => {
+  const content = unframe(encodeJt808Frame(0x0002, { is2019: false, phoneBytes: PHONE }, 1, Buffer.from([9])));
+
+  const corrupt = Buffer.from(content);
+  corrupt[corrupt.length - 1] ^= 0xff;
+  assert.throws(() => decodeJt808Frame(corrupt), /Checksum mismatch/);
+  assert.throws(() => decodeJt808Frame(Buffer.alloc(5)), /Frame too short/);
+
+  // Declare a 2-byte body but carry 1, with a valid checksum
+  const mislabelled = Buffer.from(content.subarray(0, content.length - 1));
+  mislabelled.writeUInt16BE(2, 2);
+  const withChecksum = Buffer.concat([mislabelled, Buffer.from([jt808Checksum(mislabelled)])]);
+  assert.throws(() => decodeJt808Frame(withChecksum), /Body length mismatch/);
+});
+
+test('terminal time is converted from the given timezone offset', () => {
+  const data = Buffer.from('240102030405', 'hex');
+  assert.equal(parseJt808Time(data).toISOString(), '2024-01-01T19:04:05.000Z');
+  assert.equal(parseJt808Time(data, 0).toISOString(), '2024-01-02T03:04:05.000Z');
+});
+
+test('a location body decodes coordinates, hemisphere flags and additional items', () => {
+  const body = locationBody({
+    latitude: 22.5,
+    longitude: 114.05,
+    status: 0x04 | 0x08,
+    extra: [0x01, 4, 0, 0, 0x03, 0xe8, 0x31, 1, 9, 0xe1, 2, 0xab, 0xcd]
+  });
+  const location = decodeJt808Location(body, 0);
+
+  assert.equal(location.latitude, -22.5);
+  assert.equal(location.longitude, -114.05);
+  assert.equal(location.speed, 60);
+  assert.equal(location.bearing, 90);
+  assert.equal(location.timestamp.toISOString(), '2024-01-02T03:04:05.000Z');
+  assert.deepEqual(location.additional, { mileage: 100, satellites: 9, '0xe1': 'abcd' });
+});
+
+test('a location body shorter than 28 bytes is rejected', () => {
+  assert.throws(() => decodeJt808Location(Buffer.alloc(20)), /too short/);
+});
+
+test('a batch skips malformed items instead of failing', () => {
+  const items = [locationBody({ speed: 10 }), Buffer.alloc(5), locationBody({ speed: 20 })];
+  const header = Buffer.from([0, items.length, 1]);
+  const body = Buffer.concat([header, ...items.flatMap(item => {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(item.length, 0);
+    return [length, item];
+  })]);
+  const batch = decodeJt808BatchLocation(body);
+
+  assert.equal(batch.type, 1);
+  assert.equal(batch.skipped, 1);
+  assert.deepEqual(batch.locations.map(location => location.speed), [10, 20]);
+});
+
+test('a 2013 registration body decodes its fixed-width fields', () => {
+  const body = Buffer.concat([
+    Buffer.from([0, 44, 0, 1]),
+    Buffer.from('ABCDE'),
+    Buffer.from('MODEL1'.padEnd(20, '\0')),
+    Buffer.from('T123456'),
+    Buffer.from([1]),
+    Buffer.from('A12345')
+  ]);
+
+  assert.deepEqual(decodeJt808Registration(body, false), {
+    province: 44,
+    city: 1,
+    manufacturerId: 'ABCDE',
+    terminalModel: 'MODEL1',
+    terminalId: 'T123456',
+    plateColor: 1,
+    plateNumber: 'A12345'
+  });
+});
+
+test('authentication codes are read whole in 2013 and length-prefixed in 2019', () => {
+  assert.equal(decodeJt808AuthCode(Buffer.from('secret'), false), 'secret');
+  assert.equal(decodeJt808AuthCode(Buffer.concat([Buffer.from([3]), Buffer.from('abcIMEI')]), true), 'abc');
+});
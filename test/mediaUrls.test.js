@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMediaUrlSigner } = require('../lib/mediaUrls');
+
+const PATH = '/api/media/photo-1.jpg';
+
+function parse(url) {
+  const parsed = new URL(url, 'http://localhost');
+  return { pathname: parsed.pathname, query: Object.fromEntries(parsed.searchParams) };
+}
+
+test('a signed URL verifies for its own path', () => {
+  const { createSignedMediaUrl, verifySignedMediaUrl } = createMediaUrlSigner('secret', 900);
+  const { pathname, query } = parse(createSignedMediaUrl(PATH));
+
+  assert.equal(pathname, PATH);
+  assert.equal(verifySignedMediaUrl(PATH, query), true);
+});
+
+test('the expiry is the TTL from now', () => {
+  const { createSignedMediaUrl } = createMediaUrlSigner('secret', 900);
+  const { query } = parse(createSignedMediaUrl(PATH));
+  const expected = Math.floor(Date.now() / 1000) + 900;
+
+  assert.ok(Math.abs(parseInt(query.expires) - expected) <= 1);
+});
+
+test('a signature does not carry over to another path or secret', () => {
+  const { createSignedMediaUrl, verifySignedMediaUrl } = createMediaUrlSigner('secret', 900);
+  const { query } = parse(createSignedMediaUrl(PATH));
+
+  assert.equal(verifySignedMediaUrl('/api/media/photo-2.jpg', query), false);
+  assert.equal(createMediaUrlSigner('other', 900).verifySignedMediaUrl(PATH, query), false);
+});
+
+test('tampered, missing and expired signatures are rejected', () => {
+  const { createSignedMediaUrl, verifySignedMediaUrl } = createMediaUrlSigner('secret', 900);
+  const { query } = parse(createSignedMediaUrl(PATH));
+
+  assert.equal(verifySignedMediaUrl(PATH, { ...query, expires: String(parseInt(query.expires) + 60) }), false);
+  assert.equal(verifySignedMediaUrl(PATH, { ...query, signature: query.signature.slice(0, -1) }), false);
+  assert.equal(verifySignedMediaUrl(PATH, { ...query, signature: undefined }), false);
+  assert.equal(verifySignedMediaUrl(PATH, { ...query, signature: ['a', 'b'] }), false);
+  assert.equal(verifySignedMediaUrl(PATH, { expires: undefined, signature: query.signature }), false);
+
+  const expired = parse(createMediaUrlSigner('secret', -60).createSignedMediaUrl(PATH)).query;
+  assert.equal(verifySignedMediaUrl(PATH, expired), false);
+});
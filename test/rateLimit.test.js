@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimitIdentifier } = require('../lib/rateLimit');
+const { createMediaUrlSigner } = require('../lib/mediaUrls');
+
+const DEVICE_TOKEN = 'device-token';
+const OPERATOR_TOKEN = 'operator-token';
+const { createSignedMediaUrl, verifySignedMediaUrl } = createMediaUrlSigner('secret', 900);
+
+const { getRateLimitIdentity, isSignedMediaRequest } = createRateLimitIdentifier({
+  verifyDevice: (deviceId, req) => deviceId === 'cam 1' && req.headers['x-device-token'] === DEVICE_TOKEN,
+  resolveOperator: req => (req.headers.authorization === `Bearer ${OPERATOR_TOKEN}` ? { id: 'op1' } : null),
+  verifyMediaUrl: verifySignedMediaUrl
+});
+
+// Paths are relative to the /api/ mount, as Express passes them to the middleware
+function request(method, url, headers = {}) {
+  const parsed = new URL(url, 'http://localhost');
+  return {
+    method,
+    path: parsed.pathname,
+    query: Object.fromEntries(parsed.searchParams),
+    headers,
+    ip: '203.0.113.7'
+  };
+}
+
+const device = { 'x-device-token': DEVICE_TOKEN };
+const operator = { authorization: `Bearer ${OPERATOR_TOKEN}` };
+
+test('device routes count against the device budget for their route', () => {
+  assert.deepEqual(getRateLimitIdentity(request('POST', '/dashcams/cam%201/location', device)),
+    { budget: 'telemetry', key: 'device:cam 1' });
+  assert.deepEqual(getRateLimitIdentity(request('GET', '/dashcams/cam%201/commands', device)),
+    { budget: 'polling', key: 'device:cam 1' });
+  assert.deepEqual(getRateLimitIdentity(request('PUT', '/dashcams/cam%201/uploads/u1', device)),
+    { budget: 'uploads', key: 'device:cam 1' });
+  assert.deepEqual(getRateLimitIdentity(request('POST', '/dashcams/cam%201/uploads/u1/complete', device)),
+    { budget: 'uploads', key: 'device:cam 1' });
+});
+
+test('a device route without a valid device token falls back to the operator or IP', () => {
+  assert.deepEqual(getRateLimitIdentity(request('POST', '/dashcams/cam%201/location')),
+    { budget: 'anonymous', key: 'ip:203.0.113.7' });
+  assert.deepEqual(getRateLimitIdentity(request('POST', '/dashcams/other/location', device)),
+    { budget: 'anonymous', key: 'ip:203.0.113.7' });
+  assert.deepEqual(getRateLimitIdentity(request('POST', '/dashcams/other/location', operator)),
+    { budget: 'dashboard', key: 'operator:op1' });
+});
+
+test('a device ID with a bad escape falls back to the operator or IP', () => {
+  assert.deepEqual(getRateLimitIdentity(request('POST', '/dashcams/%E0/location', device)),
+    { budget: 'anonymous', key: 'ip:203.0.113.7' });
+  assert.deepEqual(getRateLimitIdentity(request('POST', '/dashcams/%E0/location', operator)),
+    { budget: 'dashboard', key: 'operator:op1' });
+});
+
+test('operator routes count against the dashboard budget', () => {
+  assert.deepEqual(getRateLimitIdentity(request('GET', '/dashcams/cam%201/commands', operator)),
+    { budget: 'dashboard', key: 'operator:op1' });
+  assert.deepEqual(getRateLimitIdentity(request('GET', '/dashcams', operator)),
+    { budget: 'dashboard', key: 'operator:op1' });
+});
+
+test('a method that does not match the route budget is not a device request', () => {
+  assert.deepEqual(getRateLimitIdentity(request('DELETE', '/dashcams/cam%201/location', device)),
+    { budget: 'anonymous', key: 'ip:203.0.113.7' });
+});
+
+test('only media GETs with a valid signature skip rate limiting', () => {
+  const url = createSignedMediaUrl('/api/media/photo-1.jpg').replace(/^\/api/, '');
+  const thumbnail = createSignedMediaUrl('/api/media/photo-1.jpg/thumbnails/small').replace(/^\/api/, '');
+
+  assert.equal(isSignedMediaRequest(request('GET', url)), true);
+  assert.equal(isSignedMediaRequest(request('GET', thumbnail)), true);
+  assert.equal(isSignedMediaRequest(request('DELETE', url)), false);
+  assert.equal(isSignedMediaRequest(request('GET', '/media/photo-1.jpg')), false);
+  assert.equal(isSignedMediaRequest(request('GET', url.replace('photo-1', 'photo-2'))), false);
+  assert.equal(isSignedMediaRequest(request('GET', url.replace(/signature=\w+/, 'signature=forged'))), false);
+  assert.equal(isSignedMediaRequest(request('GET', url.replace('/media/', '/dashcams/'))), false);
+});